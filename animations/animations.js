@@ -167,7 +167,7 @@ class GraphVisualizer {
         const gradText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         gradText.setAttribute('x', position.x);
         gradText.setAttribute('y', position.y + 18);
-        gradText.textContent = `grad: ${node.grad.toFixed(3)}`;
+        gradText.textContent = this.formatGradient(node);
         gradText.setAttribute('font-size', '8');
         gradText.setAttribute('opacity', '0');
         gradText.classList.add('grad-text');
@@ -227,11 +227,31 @@ class GraphVisualizer {
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         path.classList.add('graph-edge');
         path.setAttribute('d', `M ${x1} ${y1} L ${x2} ${y2}`);
-        
+
         this.svg.appendChild(path);
+
+        // Operands of a Value-to-Value power are not interchangeable, so mark them
+        const role = this.getEdgeRole(from, to);
+        if (role) {
+            const roleText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            roleText.classList.add('edge-label');
+            roleText.setAttribute('x', (x1 + x2) / 2);
+            roleText.setAttribute('y', (y1 + y2) / 2 - 4);
+            roleText.textContent = role;
+            this.svg.appendChild(roleText);
+        }
+
         return path;
     }
 
+    getEdgeRole(from, to) {
+        if (to._op !== '**') return null;
+
+        const [base, exponent] = Array.from(to._prev);
+        if (exponent === undefined) return 'base, exp';
+        return from === base ? 'base' : 'exp';
+    }
+
     animateGraphBuild() {
         const nodeElements = Array.from(this.svg.querySelectorAll('.value-node'));
         const edgeElements = Array.from(this.svg.querySelectorAll('.graph-edge'));
@@ -298,6 +318,21 @@ class GraphVisualizer {
         this.executeAnimationQueue(callback);
     }
 
+    // Forward-mode counterpart of animateBackwardPass: tangents of a Dual graph
+    // appear level by level from the inputs towards the output
+    animateTangentPass(rootDual, callback) {
+        const { nodes, edges } = rootDual.getNodes();
+        const sortedNodes = this.topologicalSort(nodes, edges).flat();
+
+        this.animationQueue = sortedNodes.map((node, index) => ({
+            type: 'tangent',
+            node,
+            delay: index === 0 ? 0 : 600
+        }));
+
+        this.executeAnimationQueue(callback);
+    }
+
     executeAnimationQueue(callback) {
         if (this.animationQueue.length === 0) {
             if (callback) callback();
@@ -323,9 +358,41 @@ class GraphVisualizer {
             this.highlightNode(nodeElement, '#e74c3c');
             this.updateGradientDisplay(animation.node);
             if (callback) setTimeout(callback, 400);
+        } else if (animation.type === 'tangent') {
+            this.highlightNode(nodeElement, '#27ae60');
+            const gradText = nodeElement.querySelector('.grad-text');
+            gradText.style.opacity = '0.7';
+            this.updateGradientDisplay(animation.node);
+            if (callback) setTimeout(callback, 400);
         }
     }
 
+    // One step of Value.backwardSteps(): highlight the node pushing its
+    // gradient and refresh the gradients of the operands it just updated
+    showBackwardStep(step) {
+        this.svg.querySelectorAll('.grad-text').forEach(el => {
+            el.style.opacity = '0.7';
+        });
+
+        const nodeElement = this.svg.querySelector(`[data-node-id="${step.node.id}"]`);
+        this.highlightNode(nodeElement, '#e74c3c');
+        this.updateGradientDisplay(step.node);
+        step.contributions.forEach(({ node }) => this.updateGradientDisplay(node));
+    }
+
+    // Mark the node an AnomalyError points at; stays until the graph is redrawn
+    highlightAnomaly(node) {
+        const nodeElement = this.svg.querySelector(`[data-node-id="${node.id}"]`);
+        if (!nodeElement) return;
+
+        nodeElement.classList.add('anomaly');
+        this.highlightNode(nodeElement, '#2c3e50');
+    }
+
+    refreshGradients(nodes) {
+        nodes.forEach(node => this.updateGradientDisplay(node));
+    }
+
     highlightNode(nodeElement, color, callback) {
         const rect = nodeElement.querySelector('rect');
         
@@ -341,10 +408,17 @@ class GraphVisualizer {
         });
     }
 
+    // Dual nodes (forward mode) show their tangent where Values show grad
+    formatGradient(node) {
+        return node.tangent !== undefined
+            ? `tangent: ${node.tangent.toFixed(3)}`
+            : `grad: ${node.grad.toFixed(3)}`;
+    }
+
     updateGradientDisplay(node) {
         const nodeElement = this.svg.querySelector(`[data-node-id="${node.id}"]`);
         const gradText = nodeElement.querySelector('.grad-text');
-        gradText.textContent = `grad: ${node.grad.toFixed(3)}`;
+        gradText.textContent = this.formatGradient(node);
         
         anime({
             targets: gradText,
@@ -431,9 +505,23 @@ class NeuralNetworkVisualizer {
             layer.neurons.forEach(neuron => {
                 this.createNeuron(neuron, layer.type);
             });
+            if (layer.activation) {
+                this.createActivationLabel(layer);
+            }
         });
     }
 
+    // Name of the layer's activation above its column of neurons
+    createActivationLabel(layer) {
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.classList.add('layer-activation');
+        label.setAttribute('x', layer.neurons[0].position.x);
+        label.setAttribute('y', layer.neurons[0].position.y - 40);
+        label.setAttribute('text-anchor', 'middle');
+        label.textContent = layer.activation;
+        this.svg.appendChild(label);
+    }
+
     createConnections() {
         for (let i = 0; i < this.layers.length - 1; i++) {
             const currentLayer = this.layers[i];
@@ -589,7 +677,89 @@ class NeuralNetworkVisualizer {
     }
 }
 
+// Heatmap of a matrix such as a Jacobian or Hessian: blue for negative
+// entries, red for positive, white for zero, scaled by the largest |entry|
+class MatrixHeatmapVisualizer {
+    constructor(svgElement) {
+        this.svg = svgElement;
+    }
+
+    clear() {
+        this.svg.innerHTML = '';
+    }
+
+    cellColor(value, maxAbs) {
+        const t = maxAbs === 0 ? 0 : Math.min(1, Math.abs(value) / maxAbs);
+        const fade = Math.round(255 * (1 - t));
+        return value >= 0 ? `rgb(255, ${fade}, ${fade})` : `rgb(${fade}, ${fade}, 255)`;
+    }
+
+    visualizeMatrix(matrix, options = {}) {
+        const {
+            width = 900,
+            height = 600,
+            rowLabels = matrix.map((_, i) => `${i}`),
+            colLabels = (matrix[0] || []).map((_, j) => `${j}`),
+            title = '',
+            animate = true
+        } = options;
+
+        this.clear();
+
+        const rows = matrix.length;
+        const cols = rows > 0 ? matrix[0].length : 0;
+        const margin = 80;
+        const cell = Math.min((width - 2 * margin) / Math.max(cols, 1), (height - 2 * margin) / Math.max(rows, 1), 90);
+        const left = (width - cols * cell) / 2;
+        const top = (height - rows * cell) / 2;
+        const maxAbs = Math.max(0, ...matrix.flat().map(Math.abs));
+
+        const text = (x, y, content, className) => {
+            const el = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            el.setAttribute('x', x);
+            el.setAttribute('y', y);
+            el.classList.add(className);
+            el.textContent = content;
+            this.svg.appendChild(el);
+            return el;
+        };
+
+        if (title) {
+            text(width / 2, top - 45, title, 'heatmap-title');
+        }
+        colLabels.forEach((label, j) => text(left + (j + 0.5) * cell, top - 10, label, 'heatmap-label'));
+        rowLabels.forEach((label, i) => text(left - 10, top + (i + 0.5) * cell, label, 'heatmap-row-label'));
+
+        const cells = [];
+        matrix.forEach((row, i) => {
+            row.forEach((value, j) => {
+                const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                rect.setAttribute('x', left + j * cell);
+                rect.setAttribute('y', top + i * cell);
+                rect.setAttribute('width', cell);
+                rect.setAttribute('height', cell);
+                rect.setAttribute('fill', this.cellColor(value, maxAbs));
+                rect.classList.add('heatmap-cell');
+                this.svg.appendChild(rect);
+                cells.push(rect);
+
+                text(left + (j + 0.5) * cell, top + (i + 0.5) * cell, value.toFixed(3), 'heatmap-value');
+            });
+        });
+
+        if (animate) {
+            anime({
+                targets: cells,
+                opacity: [0, 1],
+                delay: anime.stagger(30),
+                duration: 400,
+                easing: 'easeOutQuad'
+            });
+        }
+    }
+}
+
 // Export classes
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { GraphVisualizer, NeuralNetworkVisualizer };
+    module.exports = { GraphVisualizer, NeuralNetworkVisualizer, MatrixHeatmapVisualizer };
 }
\ No newline at end of file
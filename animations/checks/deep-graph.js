@@ -0,0 +1,71 @@
+// Check that graph traversals don't recurse: backward(), getNodes() and
+// backward({ createGraph: true }) on a chain far deeper than the JS call
+// stack allows.
+//
+//     node animations/checks/deep-graph.js
+//
+// Exits with status 1 on a failure (a stack overflow included).
+
+Object.assign(global, require('../value.js'));
+
+// Each step adds a node on top of the previous one, so the graph is DEPTH
+// nodes deep
+const DEPTH = 150000;
+
+function buildChain() {
+    const x = new Value(0.5, [], '', 'x');
+    let y = x;
+    for (let i = 0; i < DEPTH; i++) {
+        y = y.add(x);
+    }
+    // y = (DEPTH + 1) * x
+    return { x, y };
+}
+
+const checks = [
+    ['backward()', () => {
+        const { x, y } = buildChain();
+        y.backward();
+        return x.grad === DEPTH + 1 || `x.grad is ${x.grad}, expected ${DEPTH + 1}`;
+    }],
+    ['getNodes()', () => {
+        const { y } = buildChain();
+        const { nodes, edges } = y.getNodes();
+        // Two edges per step, except the first (x + x), whose operands are
+        // the same node
+        const expectedEdges = 2 * DEPTH - 1;
+        const ok = nodes.length === DEPTH + 1 && edges.length === expectedEdges;
+        return ok || `${nodes.length} nodes and ${edges.length} edges, expected ${DEPTH + 1} and ${expectedEdges}`;
+    }],
+    ['backward({ createGraph: true })', () => {
+        const { x, y } = buildChain();
+        y.backward({ createGraph: true });
+        const ok = x.grad === DEPTH + 1 && x.gradValue !== null && x.gradValue.data === DEPTH + 1;
+        return ok || `x.grad is ${x.grad}, x.gradValue is ${x.gradValue && x.gradValue.data}`;
+    }]
+];
+
+function run() {
+    let failures = 0;
+    checks.forEach(([name, check]) => {
+        let result;
+        try {
+            result = check();
+        } catch (error) {
+            result = `threw ${error.message}`;
+        }
+
+        if (result === true) {
+            console.log(`ok   ${name} on a ${DEPTH}-deep chain`);
+        } else {
+            failures++;
+            console.log(`FAIL ${name} on a ${DEPTH}-deep chain: ${result}`);
+        }
+    });
+
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+run();
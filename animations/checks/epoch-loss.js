@@ -0,0 +1,44 @@
+// Check that Trainer's epoch loss doesn't depend on the batch size. With a
+// learning rate of 0 the weights never change, so every batching of the same
+// data has to report the same epoch loss, for both loss reductions.
+//
+//     node animations/checks/epoch-loss.js
+//
+// Exits with status 1 on a mismatch.
+
+Object.assign(global, require('../value.js'));
+Object.assign(global, require('../nn.js'));
+Object.assign(global, require('../optim.js'));
+Object.assign(global, require('../data.js'));
+
+const inputs = [[0, 0], [0, 1], [1, 0], [1, 1], [0.5, 0.5]];
+const targets = [0, 1, 1, 0, 1];
+
+function epochLoss(reduction, batchSize) {
+    const model = new MLP(2, [4, 1], { rng: new Random(0) });
+    const lossFn = (predictions, batchTargets) => Loss.mse(predictions, batchTargets, { reduction });
+    const trainer = new Trainer(model, lossFn, 0);
+    const [epoch] = trainer.train(inputs, targets, 1, { batchSize, shuffle: true, seed: 1, reduction });
+    return epoch.loss;
+}
+
+function run() {
+    let failures = 0;
+    ['sum', 'mean'].forEach(reduction => {
+        const expected = epochLoss(reduction, inputs.length);
+        [1, 2, 3].forEach(batchSize => {
+            const actual = epochLoss(reduction, batchSize);
+            const ok = Math.abs(actual - expected) <= 1e-12 * Math.max(1, Math.abs(expected));
+            if (!ok) {
+                failures++;
+            }
+            console.log(`${ok ? 'ok  ' : 'FAIL'} ${reduction} batchSize ${batchSize}: ${actual} (full batch ${expected})`);
+        });
+    });
+
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+run();
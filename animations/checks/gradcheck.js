@@ -0,0 +1,67 @@
+// Check every op in value.js against central differences with gradcheck().
+// Points stay away from kinks (abs, relu and leakyRelu at 0), where the
+// finite difference isn't a derivative.
+//
+//     node animations/checks/gradcheck.js
+//
+// Exits with status 1 on a failure.
+
+Object.assign(global, require('../value.js'));
+Object.assign(global, require('../gradcheck.js'));
+
+// [name, fn of the leaves, points to check at]
+const OPS = [
+    ['add', (a, b) => a.add(b), [[2, -3], [0.5, 0.25]]],
+    ['sub', (a, b) => a.sub(b), [[2, -3], [-1.5, 4]]],
+    ['mul', (a, b) => a.mul(b), [[2, -3], [0.5, 0.25]]],
+    ['div', (a, b) => a.div(b), [[2, -3], [0.5, 4]]],
+    ['pow (number exponent)', a => a.pow(3), [[1.5], [-0.7]]],
+    ['pow (negative number exponent)', a => a.pow(-2), [[1.5], [-0.7]]],
+    ['pow (Value exponent)', (a, b) => a.pow(b), [[1.5, 2.5], [0.8, -1.2]]],
+    ['tanh', a => a.tanh(), [[0.5], [-1.2]]],
+    ['relu', a => a.relu(), [[0.5], [-1.2]]],
+    ['exp', a => a.exp(), [[0.5], [-1.2]]],
+    ['sigmoid', a => a.sigmoid(), [[0.5], [-1.2]]],
+    ['log', a => a.log(), [[0.5], [3]]],
+    ['abs', a => a.abs(), [[0.5], [-1.2]]],
+    ['sin', a => a.sin(), [[0.5], [-1.2]]],
+    ['cos', a => a.cos(), [[0.5], [-1.2]]],
+    ['softplus', a => a.softplus(), [[0.5], [-1.2]]],
+    ['leakyRelu', a => a.leakyRelu(0.1), [[0.5], [-1.2]]],
+    ['gelu', a => a.gelu(), [[0.5], [-1.2]]]
+];
+
+function run() {
+    let failures = 0;
+    OPS.forEach(([name, fn, points]) => {
+        points.forEach(point => {
+            let result;
+            try {
+                result = gradcheck(fn, point);
+            } catch (error) {
+                result = { passed: false, error };
+            }
+
+            const where = `${name} at (${point.join(', ')})`;
+            if (result.passed) {
+                console.log(`ok   ${where}`);
+                return;
+            }
+            failures++;
+            if (result.error) {
+                console.log(`FAIL ${where}: threw ${result.error.message}`);
+                return;
+            }
+            console.log(`FAIL ${where}`);
+            result.results.filter(r => !r.passed).forEach(r => {
+                console.log(`    operand ${r.index}: analytic ${r.analytic}, numeric ${r.numeric}`);
+            });
+        });
+    });
+
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+run();
@@ -0,0 +1,291 @@
+// Compile a traced Value graph into a generated JavaScript function.
+// The graph is walked once; every node gets a slot in a flat Float64Array and
+// each op becomes one line of straight-line code for the forward pass and a
+// few for the backward pass. Running the compiled function allocates nothing
+// per step, unlike rebuilding the graph and calling Value.backward().
+
+const sigmoidCode = x => `(${x} >= 0 ? 1 / (1 + Math.exp(-${x})) : Math.exp(${x}) / (1 + Math.exp(${x})))`;
+
+// Generated code for each op: forward(a, b, out, args) is an expression for
+// the output, grads(a, b, out, args) the local derivative per operand. The
+// formulas match the _backward closures in value.js.
+const COMPILED_OPS = {
+    '+': {
+        forward: (a, b) => `${a} + ${b}`,
+        grads: () => ['1', '1']
+    },
+    '*': {
+        forward: (a, b) => `${a} * ${b}`,
+        grads: (a, b) => [b, a]
+    },
+    '**': {
+        forward: (a, b) => `Math.pow(${a}, ${b})`,
+        grads: (a, b, out) => [
+            `${b} * Math.pow(${a}, ${b} - 1)`,
+            `(${a} > 0 ? ${out} * Math.log(${a}) : (${a} === 0 || Number.isInteger(${b}) ? 0 : NaN))`
+        ]
+    },
+    'ReLU': {
+        forward: a => `(${a} < 0 ? 0 : ${a})`,
+        grads: (a, b, out) => [`(${out} > 0 ? 1 : 0)`]
+    },
+    'tanh': {
+        forward: a => `(Math.exp(2 * ${a}) - 1) / (Math.exp(2 * ${a}) + 1)`,
+        grads: (a, b, out) => [`(1 - ${out} * ${out})`]
+    },
+    'exp': {
+        forward: a => `Math.exp(${a})`,
+        grads: (a, b, out) => [out]
+    },
+    'sigmoid': {
+        forward: a => sigmoidCode(a),
+        grads: (a, b, out) => [`${out} * (1 - ${out})`]
+    },
+    'log': {
+        forward: a => `Math.log(${a})`,
+        grads: a => [`(1 / ${a})`]
+    },
+    'abs': {
+        forward: a => `Math.abs(${a})`,
+        grads: a => [`Math.sign(${a})`]
+    },
+    'sin': {
+        forward: a => `Math.sin(${a})`,
+        grads: a => [`Math.cos(${a})`]
+    },
+    'cos': {
+        forward: a => `Math.cos(${a})`,
+        grads: a => [`-Math.sin(${a})`]
+    },
+    'softplus': {
+        forward: a => `Math.max(${a}, 0) + Math.log1p(Math.exp(-Math.abs(${a})))`,
+        grads: a => [sigmoidCode(a)]
+    },
+    'LeakyReLU': {
+        forward: (a, b, out, [slope]) => `(${a} > 0 ? ${a} : (${slope}) * ${a})`,
+        grads: (a, b, out, [slope]) => [`(${a} > 0 ? 1 : (${slope}))`]
+    },
+    'GELU': {
+        forward: a => `geluForward(${a})`,
+        grads: a => [`geluGrad(${a})`]
+    }
+};
+
+// GELU is long enough to keep out of line
+const GELU_K = Math.sqrt(2 / Math.PI);
+
+function geluForward(x) {
+    return 0.5 * x * (1 + Math.tanh(GELU_K * (x + 0.044715 * x * x * x)));
+}
+
+function geluGrad(x) {
+    const t = Math.tanh(GELU_K * (x + 0.044715 * x * x * x));
+    return 0.5 * (1 + t) + 0.5 * x * (1 - t * t) * GELU_K * (1 + 3 * 0.044715 * x * x);
+}
+
+function compiledOpFor(op) {
+    if (COMPILED_OPS[op]) {
+        return COMPILED_OPS[op];
+    }
+    // Number powers, e.g. "**2"
+    const exponent = op.startsWith('**') ? Number(op.slice(2)) : NaN;
+    if (!Number.isNaN(exponent)) {
+        return {
+            forward: a => `Math.pow(${a}, ${exponent})`,
+            grads: a => [`(${exponent}) * Math.pow(${a}, ${exponent - 1})`]
+        };
+    }
+    return null;
+}
+
+class CompiledGraph {
+    // `inputs` are the leaves that change between runs (typically the model
+    // parameters); every other leaf is baked in as a constant
+    constructor(root, inputs) {
+        const topo = root.topologicalOrder();
+        const slot = new Map(topo.map((node, i) => [node, i]));
+
+        this.root = root;
+        this.inputs = inputs;
+        this.size = topo.length;
+        this.inputSlots = Int32Array.from(inputs.map(input => {
+            if (!slot.has(input)) {
+                throw new Error(`Input ${input.label || input.id} is not part of the graph`);
+            }
+            return slot.get(input);
+        }));
+
+        // Only nodes that depend on an input need gradients
+        const isInput = new Set(inputs);
+        const needsGrad = new Set();
+        topo.forEach(node => {
+            if (isInput.has(node) || Array.from(node._prev).some(child => needsGrad.has(child))) {
+                needsGrad.add(node);
+            }
+        });
+
+        const v = i => `v[${i}]`;
+        const g = i => `g[${i}]`;
+        const forward = [];
+        const backward = []; // statements per node, in forward order
+        const registered = []; // registerOp builders, called on plain numbers
+
+        topo.forEach((node, i) => {
+            if (node._prev.size === 0) return;
+
+            const children = Array.from(node._prev);
+            const args = node._opArgs || [];
+            const compiled = compiledOpFor(node._op);
+            const builder = findOpBuilder(node._op);
+            if (!compiled && !(builder && builder.forward)) {
+                throw new Error(`Cannot compile op '${node._op}'`);
+            }
+
+            // a * a has one child but two operands
+            const arity = builder ? builder.arity : children.length;
+            const operands = (children.length < arity ? Array(arity).fill(children[0]) : children)
+                .map(child => slot.get(child));
+            const statements = [];
+
+            let localGrads;
+            if (compiled) {
+                const [a, b] = operands.map(v);
+                forward.push(`${v(i)} = ${compiled.forward(a, b, v(i), args)};`);
+                localGrads = compiled.grads(a, b, v(i), args);
+            } else {
+                // Custom ops run through their own functions, which allocate
+                const k = registered.push({ builder, args }) - 1;
+                const inputsCode = `[${operands.map(v).join(', ')}]`;
+                forward.push(`${v(i)} = registered[${k}].builder.forward(${inputsCode}, registered[${k}].args);`);
+                statements.push(`locals = registered[${k}].builder.localDerivatives(${inputsCode}, ${v(i)}, registered[${k}].args);`);
+                localGrads = operands.map((_, j) => `locals[${j}]`);
+            }
+
+            operands.forEach((operand, j) => {
+                if (needsGrad.has(topo[operand])) {
+                    statements.push(`${g(operand)} += ${localGrads[j]} * ${g(i)};`);
+                }
+            });
+            if (needsGrad.has(node)) {
+                backward.push(statements);
+            }
+        });
+
+        const rootSlot = slot.get(root);
+        this.source = [
+            'for (let i = 0; i < inputSlots.length; i++) v[inputSlots[i]] = x[i];',
+            ...forward,
+            'if (gradOut) {',
+            '    let locals;',
+            '    g.fill(0);',
+            `    ${g(rootSlot)} = 1;`,
+            // Chain rule from the output down: reverse topological order
+            ...backward.reverse().flat().map(line => `    ${line}`),
+            '    for (let i = 0; i < inputSlots.length; i++) gradOut[i] = g[inputSlots[i]];',
+            '}',
+            `return ${v(rootSlot)};`
+        ].join('\n');
+
+        // Constants keep the values they had when the graph was traced
+        this.values = Float64Array.from(topo, node => node.data);
+        this.grads = new Float64Array(this.size);
+        this.x = new Float64Array(inputs.length);
+        this.gradOut = new Float64Array(inputs.length);
+
+        const fn = new Function(
+            'v', 'g', 'inputSlots', 'registered', 'geluForward', 'geluGrad', 'x', 'gradOut',
+            this.source
+        );
+        this.fn = (x, gradOut) => fn(this.values, this.grads, this.inputSlots, registered, geluForward, geluGrad, x, gradOut);
+    }
+
+    // Output for the given input values (array or Float64Array)
+    forward(x) {
+        return this.fn(x, null);
+    }
+
+    // Output, with d(output)/d(input) written into gradOut
+    forwardBackward(x, gradOut) {
+        return this.fn(x, gradOut);
+    }
+
+    // Read the inputs' current .data, write their .grad and return the output,
+    // which fits the zeroGrad / backward / update loop of Trainer
+    run() {
+        for (let i = 0; i < this.inputs.length; i++) {
+            this.x[i] = this.inputs[i].data;
+        }
+        const out = this.fn(this.x, this.gradOut);
+        for (let i = 0; i < this.inputs.length; i++) {
+            this.inputs[i].grad = this.gradOut[i];
+        }
+        return out;
+    }
+}
+
+function compileGraph(root, inputs) {
+    return new CompiledGraph(root, inputs);
+}
+
+// Trace lossFn over a fixed dataset once, with the model parameters as inputs
+function compileModelLoss(model, inputs, targets, lossFn = Loss.mse) {
+    const loss = lossFn(inputs.map(x => model.forward(x)), targets);
+    return compileGraph(loss, model.parameters());
+}
+
+// Time `steps` training steps the interpreted way (rebuild graph + backward)
+// against the compiled function. Both runs start from the same weights;
+// compiledMs includes the one-off compileMs.
+function benchmarkCompiled(options = {}) {
+    const {
+        model = new MLP(2, [16, 16, 1], { rng: new Random(0) }),
+        data = { inputs: [[0, 0], [0, 1], [1, 0], [1, 1]], targets: [0, 1, 1, 0] },
+        steps = 100,
+        learningRate = 0.01
+    } = options;
+
+    const initial = model.parameters().map(p => p.data);
+    const reset = () => model.parameters().forEach((p, i) => {
+        p.data = initial[i];
+    });
+
+    const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+    reset();
+    let start = now();
+    let interpretedLoss;
+    for (let step = 0; step < steps; step++) {
+        model.zeroGrad();
+        const loss = Loss.mse(data.inputs.map(x => model.forward(x)), data.targets);
+        loss.backward();
+        model.updateParameters(learningRate);
+        interpretedLoss = loss.data;
+    }
+    const interpreted = now() - start;
+
+    reset();
+    start = now();
+    const compiled = compileModelLoss(model, data.inputs, data.targets);
+    const compileTime = now() - start;
+    let compiledLoss;
+    for (let step = 0; step < steps; step++) {
+        compiledLoss = compiled.run();
+        model.updateParameters(learningRate);
+    }
+    const compiledTime = now() - start;
+
+    return {
+        steps,
+        nodes: compiled.size,
+        interpretedMs: interpreted,
+        compiledMs: compiledTime,
+        compileMs: compileTime,
+        speedup: interpreted / compiledTime,
+        lossDifference: Math.abs(interpretedLoss - compiledLoss)
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CompiledGraph, compileGraph, compileModelLoss, benchmarkCompiled };
+}
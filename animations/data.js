@@ -0,0 +1,79 @@
+// Datasets and mini-batching for Trainer. A Dataset pairs inputs with
+// targets; a DataLoader cuts it into batches each epoch, so a training step
+// only builds the graph for one batch instead of the whole dataset.
+
+class Dataset {
+    constructor(inputs, targets) {
+        if (inputs.length !== targets.length) {
+            throw new Error('Inputs and targets must have the same length');
+        }
+        this.inputs = inputs;
+        this.targets = targets;
+    }
+
+    get length() {
+        return this.inputs.length;
+    }
+
+    get(index) {
+        return { input: this.inputs[index], target: this.targets[index] };
+    }
+}
+
+// Options:
+//   batchSize - samples per batch (defaults to the whole dataset)
+//   shuffle   - reorder the samples every epoch
+//   dropLast  - skip a final batch smaller than batchSize
+//   seed / rng - where shuffles come from: a seed for a private Random, an
+//                existing Random, or the shared one from getRng()
+class DataLoader {
+    constructor(dataset, options = {}) {
+        const { batchSize = dataset.length, shuffle = false, dropLast = false, seed = null } = options;
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new Error(`batchSize must be a positive integer, got ${batchSize}`);
+        }
+        this.dataset = dataset;
+        this.batchSize = batchSize;
+        this.shuffle = shuffle;
+        this.dropLast = dropLast;
+        this.rng = options.rng || (seed !== null ? new Random(seed) : getRng());
+    }
+
+    // Number of batches per epoch
+    get length() {
+        const n = this.dataset.length;
+        return this.dropLast ? Math.floor(n / this.batchSize) : Math.ceil(n / this.batchSize);
+    }
+
+    // One epoch of { indices, inputs, targets } batches. Each call draws a new
+    // order when shuffling.
+    batches() {
+        const order = this.dataset.inputs.map((_, i) => i);
+        if (this.shuffle) {
+            this.rng.shuffle(order);
+        }
+
+        const batches = [];
+        for (let start = 0; start < order.length; start += this.batchSize) {
+            const indices = order.slice(start, start + this.batchSize);
+            if (this.dropLast && indices.length < this.batchSize) {
+                break;
+            }
+            batches.push({
+                indices,
+                inputs: indices.map(i => this.dataset.inputs[i]),
+                targets: indices.map(i => this.dataset.targets[i])
+            });
+        }
+        return batches;
+    }
+
+    [Symbol.iterator]() {
+        return this.batches()[Symbol.iterator]();
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Dataset, DataLoader };
+}
@@ -0,0 +1,78 @@
+// Text exporters for computational graphs: Graphviz DOT and Mermaid.
+// Both take the { nodes, edges } from Value.getNodes() (or a root Value) and
+// draw the same picture as the notebook's draw_dot: a record per Value with
+// its label, data and grad, plus a small node for the op that produced it.
+
+function resolveGraph(graph) {
+    return graph instanceof Value ? graph.getNodes() : graph;
+}
+
+function formatNumber(x, precision) {
+    return Number.isFinite(x) ? x.toFixed(precision) : String(x);
+}
+
+function toDot(graph, options = {}) {
+    const { precision = 4, showGrad = true, rankdir = 'LR' } = options;
+    const { nodes, edges } = resolveGraph(graph);
+
+    // Record labels treat {}|<> as structure, so escape them along with quotes
+    const escape = text => String(text).replace(/([\\{}|<>"])/g, '\\$1');
+
+    const lines = ['digraph G {', `    rankdir=${rankdir};`];
+
+    nodes.forEach(node => {
+        const fields = [escape(node.label), `data ${formatNumber(node.data, precision)}`];
+        if (showGrad) {
+            fields.push(`grad ${formatNumber(node.grad, precision)}`);
+        }
+        lines.push(`    "${node.id}" [label="{ ${fields.join(' | ')} }", shape=record];`);
+
+        if (node._op) {
+            lines.push(`    "${node.id}${node._op}" [label="${escape(node._op)}"];`);
+            lines.push(`    "${node.id}${node._op}" -> "${node.id}";`);
+        }
+    });
+
+    edges.forEach(([from, to]) => {
+        lines.push(`    "${from.id}" -> "${to.id}${to._op}";`);
+    });
+
+    lines.push('}');
+    return lines.join('\n');
+}
+
+function toMermaid(graph, options = {}) {
+    const { precision = 4, showGrad = true, direction = 'LR' } = options;
+    const { nodes, edges } = resolveGraph(graph);
+
+    // Mermaid ids must be plain identifiers; labels use HTML entities for quotes
+    const valueId = node => `v_${node.id}`;
+    const opId = node => `op_${node.id}`;
+    const escape = text => String(text).replace(/"/g, '#quot;');
+
+    const lines = [`flowchart ${direction}`];
+
+    nodes.forEach(node => {
+        const fields = [escape(node.label), `data ${formatNumber(node.data, precision)}`];
+        if (showGrad) {
+            fields.push(`grad ${formatNumber(node.grad, precision)}`);
+        }
+        lines.push(`    ${valueId(node)}["${fields.filter(Boolean).join(' | ')}"]`);
+
+        if (node._op) {
+            lines.push(`    ${opId(node)}(("${escape(node._op)}"))`);
+            lines.push(`    ${opId(node)} --> ${valueId(node)}`);
+        }
+    });
+
+    edges.forEach(([from, to]) => {
+        lines.push(`    ${valueId(from)} --> ${opId(to)}`);
+    });
+
+    return lines.join('\n');
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { toDot, toMermaid };
+}
@@ -0,0 +1,170 @@
+// Forward-mode automatic differentiation with dual numbers.
+// A Dual carries a value and its tangent (the derivative along a chosen input
+// direction) and propagates both in the same pass, left to right, instead of
+// recording closures for a later backward pass. It keeps _prev/_op/label so
+// GraphVisualizer can draw it like a Value graph.
+
+class Dual {
+    constructor(data, tangent = 0, children = [], op = '', label = '') {
+        this.data = data;
+        this.tangent = tangent;
+        this._prev = new Set(children);
+        this._op = op;
+        this.label = label;
+        this._id = null;
+    }
+
+    get id() {
+        if (this._id === null) {
+            this._id = nextId();
+        }
+        return this._id;
+    }
+
+    set id(id) {
+        this._id = id;
+    }
+
+    toString() {
+        return `Dual(data=${this.data}, tangent=${this.tangent})`;
+    }
+
+    // Unary op: the tangent is scaled by the local derivative
+    _unary(op, data, derivative) {
+        return new Dual(data, derivative * this.tangent, [this], op);
+    }
+
+    add(other) {
+        other = other instanceof Dual ? other : new Dual(other);
+        return new Dual(this.data + other.data, this.tangent + other.tangent, [this, other], '+');
+    }
+
+    mul(other) {
+        other = other instanceof Dual ? other : new Dual(other);
+        const tangent = this.tangent * other.data + this.data * other.tangent;
+        return new Dual(this.data * other.data, tangent, [this, other], '*');
+    }
+
+    pow(other) {
+        if (!(other instanceof Dual)) {
+            if (typeof other !== 'number') {
+                throw new Error('pow expects a number or a Dual exponent');
+            }
+            return this._unary(`**${other}`, Math.pow(this.data, other), other * Math.pow(this.data, other - 1));
+        }
+
+        // Same conventions as Value.powValue for the exponent direction:
+        // ln(a) for a > 0, 0 for a zero base or a negative base with an integer
+        // exponent, NaN for a negative base otherwise
+        const data = Math.pow(this.data, other.data);
+        let exponentTerm = 0;
+        if (other.tangent !== 0) {
+            if (this.data > 0) {
+                exponentTerm = data * Math.log(this.data) * other.tangent;
+            } else if (this.data < 0 && !Number.isInteger(other.data)) {
+                exponentTerm = NaN;
+            }
+        }
+        const baseTerm = this.tangent === 0 ? 0 : other.data * Math.pow(this.data, other.data - 1) * this.tangent;
+        return new Dual(data, baseTerm + exponentTerm, [this, other], '**');
+    }
+
+    relu() {
+        return this._unary('ReLU', this.data < 0 ? 0 : this.data, this.data > 0 ? 1 : 0);
+    }
+
+    tanh() {
+        const t = Math.tanh(this.data);
+        return this._unary('tanh', t, 1 - t * t);
+    }
+
+    exp() {
+        const e = Math.exp(this.data);
+        return this._unary('exp', e, e);
+    }
+
+    sigmoid() {
+        const x = this.data;
+        const s = x >= 0 ? 1 / (1 + Math.exp(-x)) : Math.exp(x) / (1 + Math.exp(x));
+        return this._unary('sigmoid', s, s * (1 - s));
+    }
+
+    log() {
+        return this._unary('log', Math.log(this.data), 1 / this.data);
+    }
+
+    abs() {
+        return this._unary('abs', Math.abs(this.data), Math.sign(this.data));
+    }
+
+    sin() {
+        return this._unary('sin', Math.sin(this.data), Math.cos(this.data));
+    }
+
+    cos() {
+        return this._unary('cos', Math.cos(this.data), -Math.sin(this.data));
+    }
+
+    softplus() {
+        const x = this.data;
+        const s = x >= 0 ? 1 / (1 + Math.exp(-x)) : Math.exp(x) / (1 + Math.exp(x));
+        return this._unary('softplus', Math.max(x, 0) + Math.log1p(Math.exp(-Math.abs(x))), s);
+    }
+
+    leakyRelu(slope = 0.01) {
+        const x = this.data;
+        return this._unary('LeakyReLU', x > 0 ? x : slope * x, x > 0 ? 1 : slope);
+    }
+
+    gelu() {
+        const x = this.data;
+        const k = Math.sqrt(2 / Math.PI);
+        const t = Math.tanh(k * (x + 0.044715 * x * x * x));
+        const local = 0.5 * (1 + t) + 0.5 * x * (1 - t * t) * k * (1 + 3 * 0.044715 * x * x);
+        return this._unary('GELU', 0.5 * x * (1 + t), local);
+    }
+
+    div(other) {
+        return this.mul(other instanceof Dual ? other.pow(-1) : new Dual(other).pow(-1));
+    }
+
+    neg() {
+        return this.mul(-1);
+    }
+
+    sub(other) {
+        return this.add(other instanceof Dual ? other.neg() : new Dual(other).neg());
+    }
+
+    // Same { nodes, edges } shape as Value.getNodes, for the visualizer
+    getNodes() {
+        return Value.prototype.getNodes.call(this);
+    }
+}
+
+// Jacobian-vector product: evaluate fn at `inputs` while pushing `tangents`
+// (one per input) through it. Inputs may be numbers or Duals; Duals are used
+// as-is so they keep their labels. Returns the output(s) and their tangents,
+// i.e. the directional derivative of fn along `tangents`.
+function jvp(fn, inputs, tangents) {
+    if (inputs.length !== tangents.length) {
+        throw new Error(`Expected ${inputs.length} tangents, got ${tangents.length}`);
+    }
+
+    const duals = inputs.map((x, i) => {
+        if (x instanceof Dual) {
+            x.tangent = tangents[i];
+            return x;
+        }
+        return new Dual(x, tangents[i], [], '', `x${i}`);
+    });
+
+    const output = fn(...duals);
+    const tangent = Array.isArray(output) ? output.map(o => o.tangent) : output.tangent;
+    return { output, tangent };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Dual, jvp };
+}
@@ -0,0 +1,83 @@
+// Finite-difference gradient checking for Value graphs and Modules
+
+const GRADCHECK_DEFAULTS = {
+    eps: 1e-6,   // step used for the central differences
+    atol: 1e-5,  // absolute tolerance
+    rtol: 1e-3   // relative tolerance (scaled by |numeric|)
+};
+
+// Compare analytic gradients from backward() against central differences.
+// `fn` takes the leaf Values and returns a scalar Value; it is called again for
+// every perturbation, so it must rebuild the graph from the leaves each time.
+// `inputs` can be numbers or leaf Values. A Module can be passed instead of a
+// function, see gradcheckModule for its arguments.
+function gradcheck(fn, inputs, options = {}) {
+    if (typeof Module !== 'undefined' && fn instanceof Module) {
+        return gradcheckModule(fn, inputs, options.targets, options);
+    }
+
+    const leaves = inputs.map((x, i) => x instanceof Value ? x : new Value(x, [], '', `x${i}`));
+    return checkLeaves(() => fn(...leaves), leaves, options);
+}
+
+// Check every parameter of `model` against the loss it gets on a dataset.
+// Options: lossFn (defaults to Loss.mse) plus the gradcheck tolerances.
+function gradcheckModule(model, inputs, targets, options = {}) {
+    const { lossFn = Loss.mse } = options;
+    const computeLoss = () => lossFn(inputs.map(x => model.forward(x)), targets);
+    return checkLeaves(computeLoss, model.parameters(), options);
+}
+
+function checkLeaves(compute, leaves, options) {
+    const { eps, atol, rtol } = { ...GRADCHECK_DEFAULTS, ...options };
+
+    // Analytic gradients
+    leaves.forEach(leaf => {
+        leaf.grad = 0;
+    });
+    const out = compute();
+    if (!(out instanceof Value)) {
+        throw new Error('gradcheck expects the function to return a scalar Value');
+    }
+    out.zeroGrad();
+    out.backward();
+    const analytic = leaves.map(leaf => leaf.grad);
+
+    // Numeric gradients, restoring each leaf after perturbing it
+    const numeric = leaves.map(leaf => {
+        const original = leaf.data;
+        leaf.data = original + eps;
+        const plus = compute().data;
+        leaf.data = original - eps;
+        const minus = compute().data;
+        leaf.data = original;
+        return (plus - minus) / (2 * eps);
+    });
+
+    const results = leaves.map((leaf, i) => {
+        const absError = Math.abs(analytic[i] - numeric[i]);
+        const scale = Math.max(Math.abs(analytic[i]), Math.abs(numeric[i]));
+        const relError = scale === 0 ? 0 : absError / scale;
+        return {
+            index: i,
+            label: leaf.label,
+            analytic: analytic[i],
+            numeric: numeric[i],
+            absError,
+            relError,
+            passed: absError <= atol + rtol * Math.abs(numeric[i])
+        };
+    });
+
+    return {
+        passed: results.every(r => r.passed),
+        maxAbsError: Math.max(0, ...results.map(r => r.absError)),
+        maxRelError: Math.max(0, ...results.map(r => r.relError)),
+        results
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { gradcheck, gradcheckModule };
+}
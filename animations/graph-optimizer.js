@@ -0,0 +1,161 @@
+// Graph optimization passes for Value graphs: constant folding (plus a few
+// algebraic identities), common subexpression elimination and dead-node
+// elimination. The input graph is left untouched; the rewritten graph shares
+// its non-constant leaves, so backward() on either one produces the same
+// gradients on those leaves.
+
+// By default a constant is an unlabelled leaf, which is what ops create for
+// plain number operands (e.g. the -1 in neg() or the 0 seed in Loss.mse), or
+// a leaf labelled with its own value, which is how parser.js labels numeric
+// literals ("0", "2.5", "-1"). Other labelled leaves such as weights and
+// named inputs are kept as variables.
+const isNumericLiteral = node => node.label !== '' && Number(node.label.replace(/\s+/g, '')) === node.data;
+const isDefaultConstant = node => node._prev.size === 0 && (!node.label || isNumericLiteral(node));
+
+const COMMUTATIVE_OPS = new Set(['+', '*']);
+
+function optimizeGraph(root, options = {}) {
+    const {
+        isConstant = isDefaultConstant,
+        foldConstants = true,
+        eliminateCommon = true
+    } = options;
+
+    const original = root.topologicalOrder();
+    const replacement = new Map();
+    const constants = new Map();   // data -> shared constant leaf
+    const expressions = new Map(); // op|args|operand indices -> node
+    const created = new Set();     // constants made by folding
+    // Expression keys use object identity, not Value ids: ids can repeat
+    // (e.g. the same saved graph loaded twice) and reading one draws it
+    const nodeIndex = new Map();
+    const indexOf = node => {
+        if (!nodeIndex.has(node)) {
+            nodeIndex.set(node, nodeIndex.size);
+        }
+        return nodeIndex.get(node);
+    };
+    const stats = { folded: 0, simplified: 0, merged: 0 };
+
+    const isConst = node => created.has(node) || (node._prev.size === 0 && isConstant(node));
+
+    const constant = data => {
+        const key = String(data);
+        if (!constants.has(key)) {
+            const leaf = new Value(data);
+            created.add(leaf);
+            constants.set(key, leaf);
+        }
+        return constants.get(key);
+    };
+
+    original.forEach(node => {
+        // Leaves: equal constants collapse into one node, variables stay as-is
+        if (node._prev.size === 0) {
+            if (eliminateCommon && isConst(node)) {
+                const key = String(node.data);
+                if (constants.has(key)) {
+                    stats.merged++;
+                    replacement.set(node, constants.get(key));
+                    return;
+                }
+                constants.set(key, node);
+            }
+            replacement.set(node, node);
+            return;
+        }
+
+        const builder = findOpBuilder(node._op);
+        if (!builder) {
+            // Unknown op: keep the node, it cannot be rebuilt
+            replacement.set(node, node);
+            return;
+        }
+
+        const children = Array.from(node._prev);
+        const originalOperands = children.length < builder.arity ? Array(builder.arity).fill(children[0]) : children;
+        const operands = originalOperands.map(child => replacement.get(child));
+        const args = node._opArgs || [];
+
+        if (foldConstants) {
+            if (operands.every(isConst)) {
+                stats.folded++;
+                const data = noGrad(() => builder.build(operands, args).data);
+                replacement.set(node, constant(data));
+                return;
+            }
+
+            const simplified = simplify(node._op, operands, isConst, constant);
+            if (simplified) {
+                stats.simplified++;
+                replacement.set(node, simplified);
+                return;
+            }
+        }
+
+        let key = null;
+        if (eliminateCommon) {
+            const indices = operands.map(indexOf);
+            if (COMMUTATIVE_OPS.has(node._op)) indices.sort((a, b) => a - b);
+            key = `${node._op}|${args.join(',')}|${indices.join(',')}`;
+            if (expressions.has(key)) {
+                stats.merged++;
+                replacement.set(node, expressions.get(key));
+                return;
+            }
+        }
+
+        // Reuse the node when nothing below it changed, otherwise rebuild it
+        // through its op so the new node gets a working _backward
+        let rewritten = node;
+        if (operands.some((operand, i) => operand !== originalOperands[i])) {
+            rewritten = builder.build(operands, args);
+            rewritten.label = node.label;
+        }
+
+        if (key !== null) {
+            expressions.set(key, rewritten);
+        }
+        replacement.set(node, rewritten);
+    });
+
+    const optimized = replacement.get(root);
+    const optimizedNodes = new Set(optimized.getNodes().nodes);
+
+    // Nodes of the old graph with no counterpart left in the new one: bypassed
+    // by simplification or only feeding folded constants
+    const eliminated = original.filter(node => !optimizedNodes.has(replacement.get(node))).length;
+
+    return {
+        root: optimized,
+        before: original.length,
+        after: optimizedNodes.size,
+        stats: { ...stats, eliminated }
+    };
+}
+
+// Identities with one constant operand: x + 0, x * 1, x * 0 and x ** 1
+function simplify(op, operands, isConst, constant) {
+    const [a, b] = operands;
+    const is = (node, value) => isConst(node) && node.data === value;
+
+    if (op === '+') {
+        if (is(a, 0)) return b;
+        if (is(b, 0)) return a;
+    } else if (op === '*') {
+        if (is(a, 1)) return b;
+        if (is(b, 1)) return a;
+        // d/dx of x * 0 is 0 either way, as long as x is finite
+        if ((is(a, 0) && Number.isFinite(b.data)) || (is(b, 0) && Number.isFinite(a.data))) {
+            return constant(0);
+        }
+    } else if (op === '**1') {
+        return a;
+    }
+    return null;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { optimizeGraph };
+}
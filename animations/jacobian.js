@@ -0,0 +1,90 @@
+// Jacobians and Hessians built on the reverse-mode engine. backward() only
+// starts from a scalar, so a Jacobian takes one backward pass per output, and
+// a Hessian one backward pass per input through the gradient graphs that
+// backward({ createGraph: true }) builds.
+
+// Turn fn/Module + inputs into leaves and a function computing the output(s)
+// from them. A Module is differentiated with respect to its input vector, or
+// its parameters with { wrt: 'parameters' }.
+function resolveTarget(fn, inputs, options) {
+    if (typeof Module !== 'undefined' && fn instanceof Module) {
+        const model = fn;
+        if (options.wrt === 'parameters') {
+            const x = inputs.map(v => (v instanceof Value ? v : new Value(v)));
+            return { leaves: model.parameters(), compute: () => model.forward(x) };
+        }
+        const leaves = inputs.map((x, i) => (x instanceof Value ? x : new Value(x, [], '', `x${i}`)));
+        return { leaves, compute: () => model.forward(leaves) };
+    }
+
+    const leaves = inputs.map((x, i) => (x instanceof Value ? x : new Value(x, [], '', `x${i}`)));
+    return { leaves, compute: () => fn(...leaves) };
+}
+
+const leafLabels = leaves => leaves.map((leaf, i) => leaf.label || `x${i}`);
+
+// Matrix of d(output_i)/d(input_j), one row per output. `fn` returns a Value
+// or an array of Values (e.g. Layer.forward with several neurons).
+function jacobian(fn, inputs, options = {}) {
+    const { leaves, compute } = resolveTarget(fn, inputs, options);
+    const result = compute();
+    const outputs = Array.isArray(result) ? result : [result];
+
+    const matrix = outputs.map(output => {
+        // Leaves outside this output's graph would keep stale grads otherwise
+        leaves.forEach(leaf => {
+            leaf.grad = 0;
+        });
+        output.zeroGrad();
+        output.backward();
+        return leaves.map(leaf => leaf.grad);
+    });
+
+    return {
+        outputs: outputs.map(output => output.data),
+        matrix,
+        rowLabels: outputs.map((output, i) => output.label || `y${i}`),
+        colLabels: leafLabels(leaves)
+    };
+}
+
+// Matrix of second derivatives d²f/(dx_i dx_j) of a scalar fn. The first
+// backward pass keeps each gradient as a Value graph, and differentiating
+// gradient i once more gives row i.
+function hessian(fn, inputs, options = {}) {
+    const { leaves, compute } = resolveTarget(fn, inputs, options);
+    const output = compute();
+    if (Array.isArray(output)) {
+        throw new Error('hessian expects a scalar output; use jacobian for several outputs');
+    }
+
+    leaves.forEach(leaf => {
+        leaf.grad = 0;
+        leaf.gradValue = null;
+    });
+    output.zeroGrad();
+    output.backward({ createGraph: true });
+    const gradients = leaves.map(leaf => leaf.gradValue);
+    const gradient = leaves.map(leaf => leaf.grad);
+
+    const matrix = gradients.map(g => {
+        // A leaf the output doesn't depend on has a zero row
+        if (g === null) {
+            return leaves.map(() => 0);
+        }
+        leaves.forEach(leaf => {
+            leaf.grad = 0;
+        });
+        g.zeroGrad();
+        g.backward();
+        return leaves.map(leaf => leaf.grad);
+    });
+
+    const labels = leafLabels(leaves);
+    return { value: output.data, gradient, matrix, rowLabels: labels, colLabels: labels };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { jacobian, hessian };
+}
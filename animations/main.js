@@ -5,6 +5,7 @@ class MicrogradExplainer {
         this.currentSection = 'basic-operations';
         this.visualizers = {};
         this.currentExample = null;
+        this.backwardStepper = null;
         this.trainingState = {
             isTraining: false,
             epoch: 0,
@@ -75,6 +76,7 @@ class MicrogradExplainer {
         // Neural network visualizer
         const nnSvg = document.getElementById('nn-svg');
         this.visualizers.nn = new NeuralNetworkVisualizer(nnSvg);
+        this.visualizers.heatmap = new MatrixHeatmapVisualizer(nnSvg);
         
         // Training visualizer
         const trainingSvg = document.getElementById('training-svg');
@@ -112,6 +114,14 @@ class MicrogradExplainer {
             this.resetComputationalGraph();
         });
 
+        document.getElementById('parse-expression-btn')?.addEventListener('click', () => {
+            this.buildGraphFromExpression();
+        });
+
+        document.getElementById('optimize-graph-btn')?.addEventListener('click', () => {
+            this.toggleOptimizedGraph();
+        });
+
         // Backpropagation
         document.getElementById('forward-pass-btn')?.addEventListener('click', () => {
             this.runForwardPass();
@@ -125,6 +135,14 @@ class MicrogradExplainer {
             this.stepBackward();
         });
         
+        document.getElementById('rewind-step-btn')?.addEventListener('click', () => {
+            this.rewindBackwardStep();
+        });
+        
+        document.getElementById('tangent-pass-btn')?.addEventListener('click', () => {
+            this.runTangentPass();
+        });
+        
         document.getElementById('reset-backprop-btn')?.addEventListener('click', () => {
             this.resetBackpropagation();
         });
@@ -142,6 +160,14 @@ class MicrogradExplainer {
             this.showMLPDemo();
         });
         
+        document.getElementById('jacobian-demo-btn')?.addEventListener('click', () => {
+            this.showJacobianDemo();
+        });
+
+        document.getElementById('hessian-demo-btn')?.addEventListener('click', () => {
+            this.showHessianDemo();
+        });
+
         document.getElementById('reset-nn-btn')?.addEventListener('click', () => {
             this.resetNeuralNetwork();
         });
@@ -208,19 +234,119 @@ c = a * b
     buildComputationalGraph() {
         const example = Examples.complex();
         this.currentExample = example;
+        this.showingOptimized = false;
         
         this.visualizers.graph.visualizeValue(example.L, { animate: true });
         
         document.getElementById('current-step').textContent = 'Graph built! Expression: L = (a * b + c) * f';
     }
 
+    buildGraphFromExpression() {
+        const source = document.getElementById('expression-input').value;
+        const stepInfo = document.getElementById('current-step');
+        // In anomaly mode the backward pass runs too, so bad gradients are caught
+        const checkAnomalies = document.getElementById('anomaly-mode-checkbox').checked;
+        let output = null;
+        try {
+            const variables = this.parseVariables(document.getElementById('variables-input').value);
+            const build = () => {
+                output = parseExpression(source, variables).output;
+                if (checkAnomalies) {
+                    output.backward();
+                }
+            };
+            if (checkAnomalies) {
+                detectAnomaly(build);
+            } else {
+                build();
+            }
+
+            this.currentExample = { L: output };
+            this.showingOptimized = false;
+            this.visualizers.graph.visualizeValue(output, { animate: true });
+            document.getElementById('expression-title').textContent = `Expression: ${source}`;
+            stepInfo.textContent = `Graph built! Output = ${output.data.toFixed(4)}` +
+                (checkAnomalies ? ' (no NaN or Infinity in forward or backward)' : '');
+        } catch (error) {
+            // A forward anomaly stops parsing, so draw up to the failing node
+            if (error instanceof AnomalyError) {
+                this.currentExample = null;
+                this.visualizers.graph.visualizeValue(output || error.node, { animate: false });
+                this.visualizers.graph.highlightAnomaly(error.node);
+            }
+
+            // ParseError messages carry a caret under the offending position
+            stepInfo.innerHTML = '';
+            const pre = document.createElement('pre');
+            pre.textContent = error.message;
+            stepInfo.appendChild(pre);
+        }
+    }
+
+    // "a=2, b=-3" -> { a: 2, b: -3 }. A missing or non-numeric value throws a
+    // ParseError pointing into the variables text, like expression errors do.
+    parseVariables(text) {
+        const variables = {};
+        const pairPattern = /[^,]+/g;
+        let match;
+        while ((match = pairPattern.exec(text)) !== null) {
+            const pair = match[0];
+            if (!pair.trim()) {
+                continue;
+            }
+            const equals = pair.indexOf('=');
+            const name = (equals === -1 ? pair : pair.slice(0, equals)).trim();
+            const rawValue = equals === -1 ? '' : pair.slice(equals + 1);
+            const value = rawValue.trim();
+            if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value)) {
+                const position = match.index + (equals === -1 ? pair.length : equals + 1 + rawValue.indexOf(value));
+                const problem = value ? `'${value}' is not a number` : 'missing value';
+                throw new ParseError(`Variable '${name}': ${problem}`, text, position);
+            }
+            if (name) {
+                variables[name] = Number(value);
+            }
+        }
+        return variables;
+    }
+
+    // Switch between the graph as built and its optimized rewrite
+    toggleOptimizedGraph() {
+        if (!this.currentExample) {
+            this.buildComputationalGraph();
+        }
+
+        const example = this.currentExample;
+        const button = document.getElementById('optimize-graph-btn');
+        const stepInfo = document.getElementById('current-step');
+
+        if (this.showingOptimized) {
+            this.showingOptimized = false;
+            this.visualizers.graph.visualizeValue(example.L, { animate: true });
+            button.textContent = 'Optimize Graph';
+            stepInfo.textContent = `Original graph: ${example.optimized.before} nodes`;
+            return;
+        }
+
+        if (!example.optimized) {
+            example.optimized = optimizeGraph(example.L);
+        }
+        const { root, before, after, stats } = example.optimized;
+        this.showingOptimized = true;
+        this.visualizers.graph.visualizeValue(root, { animate: true });
+        button.textContent = 'Show Original';
+        stepInfo.textContent = `Optimized graph: ${before} → ${after} nodes ` +
+            `(folded ${stats.folded}, simplified ${stats.simplified}, merged ${stats.merged})`;
+    }
+
     highlightGraphPath() {
         if (!this.currentExample) {
             this.buildComputationalGraph();
             return;
         }
         
-        this.visualizers.graph.animateForwardPass(this.currentExample.L, () => {
+        const root = this.showingOptimized ? this.currentExample.optimized.root : this.currentExample.L;
+        this.visualizers.graph.animateForwardPass(root, () => {
             document.getElementById('current-step').textContent = 'Forward pass complete! Values computed from inputs to output.';
         });
     }
@@ -228,6 +354,9 @@ c = a * b
     resetComputationalGraph() {
         this.visualizers.graph.clear();
         this.currentExample = null;
+        this.showingOptimized = false;
+        document.getElementById('optimize-graph-btn').textContent = 'Optimize Graph';
+        document.getElementById('expression-title').textContent = 'Expression: L = (a * b + c) * f';
         document.getElementById('current-step').textContent = 'Click "Build Graph" to start';
     }
 
@@ -235,6 +364,7 @@ c = a * b
     runForwardPass() {
         const example = Examples.complex();
         this.currentExample = example;
+        this.backwardStepper = null;
         
         this.visualizers.backprop.visualizeValue(example.L);
         this.visualizers.backprop.animateForwardPass(example.L, () => {
@@ -253,6 +383,7 @@ c = a * b
         }
         
         // Initialize gradients
+        this.backwardStepper = null;
         this.currentExample.L.zeroGrad();
         this.currentExample.L.grad = 1.0;
         this.currentExample.L.backward();
@@ -262,15 +393,105 @@ c = a * b
         });
     }
 
+    // Advance Value.backwardSteps() by one node and annotate the chain rule
     stepBackward() {
         if (!this.currentExample) {
             this.runForwardPass();
             return;
         }
-        
-        // For now, just run the full backward pass
-        // TODO: Implement step-by-step backward pass
-        this.runBackwardPass();
+
+        if (!this.backwardStepper) {
+            const root = this.currentExample.L;
+            root.zeroGrad();
+            this.backwardStepper = { generator: root.backwardSteps(), count: 0 };
+        }
+
+        const { value: step, done } = this.backwardStepper.generator.next();
+        if (done) {
+            this.updateGradientInfo();
+            return;
+        }
+
+        this.backwardStepper.count++;
+        this.visualizers.backprop.showBackwardStep(step);
+        this.showBackwardStepInfo(step);
+    }
+
+    // Generators can't go back, so replay a fresh one up to the previous step
+    rewindBackwardStep() {
+        if (!this.backwardStepper || this.backwardStepper.count === 0) return;
+
+        const root = this.currentExample.L;
+        const target = this.backwardStepper.count - 1;
+        root.zeroGrad();
+        this.backwardStepper = { generator: root.backwardSteps(), count: 0 };
+
+        let step = null;
+        while (this.backwardStepper.count < target) {
+            step = this.backwardStepper.generator.next().value;
+            this.backwardStepper.count++;
+        }
+
+        this.visualizers.backprop.resetVisualization();
+        this.visualizers.backprop.refreshGradients(root.getNodes().nodes);
+        if (step) {
+            this.visualizers.backprop.showBackwardStep(step);
+            this.showBackwardStepInfo(step);
+        } else {
+            document.getElementById('gradient-info').innerHTML = '<p>Back at the start: click "Step Backward"</p>';
+        }
+    }
+
+    showBackwardStepInfo(step) {
+        const name = node => node.label || node._op || node.data.toFixed(2);
+        const fmt = x => x.toFixed(4);
+
+        let html = `<p><strong>Step ${step.index + 1}/${step.total}: ${name(step.node)}</strong> (grad = ${fmt(step.grad)})</p>`;
+        if (step.contributions.length === 0) {
+            html += '<p>Leaf node: nothing to propagate</p>';
+        }
+        // Same operand order as the contributions
+        const locals = localDerivatives(step.node);
+        step.contributions.forEach(({ node, localGrad, contribution }, i) => {
+            html += `<p>${name(node)}.grad += ${fmt(localGrad)} × ${fmt(step.grad)} = ${fmt(contribution)} ` +
+                `→ ${fmt(node.grad)}</p>`;
+            html += this.derivativeHTML(derivativeNotation(step.node, node, locals[i].term));
+        });
+
+        document.getElementById('gradient-info').innerHTML = html;
+    }
+
+    // Forward-mode AD on the same expression: seed a's tangent with 1 and
+    // watch dL/da flow from the inputs to the output in a single pass
+    runTangentPass() {
+        this.visualizers.backprop.resetVisualization();
+        this.currentExample = null;
+        this.backwardStepper = null;
+
+        const inputs = [
+            new Dual(2.0, 0, [], '', 'a'),
+            new Dual(-3.0, 0, [], '', 'b'),
+            new Dual(10.0, 0, [], '', 'c'),
+            new Dual(-2.0, 0, [], '', 'f')
+        ];
+        const { output, tangent } = jvp((a, b, c, f) => {
+            const e = a.mul(b);
+            e.label = 'e';
+            const d = e.add(c);
+            d.label = 'd';
+            const L = d.mul(f);
+            L.label = 'L';
+            return L;
+        }, inputs, [1, 0, 0, 0]);
+
+        this.visualizers.backprop.visualizeValue(output, { animate: false });
+        this.visualizers.backprop.animateTangentPass(output, () => {
+            document.getElementById('gradient-info').innerHTML = `
+                <p><strong>Forward mode complete!</strong></p>
+                <p>Tangents flowed from the inputs to L with a = 1, others = 0</p>
+                <p>dL/da = ${tangent.toFixed(4)} (one pass per input direction)</p>
+            `;
+        });
     }
 
     updateGradientInfo() {
@@ -289,15 +510,23 @@ c = a * b
         let html = '<p><strong>Gradient Flow Complete!</strong></p>';
         Object.entries(gradients).forEach(([label, grad]) => {
             html += `<p>${label}: ${grad.toFixed(4)}</p>`;
+            html += this.derivativeHTML(derivativeNotation(this.currentExample.L, this.currentExample[label]));
         });
         
         document.getElementById('gradient-info').innerHTML = html;
     }
 
+    // MathML for the chain-rule expression, with the LaTeX source on hover
+    derivativeHTML({ latex, mathml }) {
+        const title = latex.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+        return `<div class="derivative" title="${title}">${mathml}</div>`;
+    }
+
     resetBackpropagation() {
         this.visualizers.backprop.resetVisualization();
         this.visualizers.backprop.clear();
         this.currentExample = null;
+        this.backwardStepper = null;
         document.getElementById('gradient-info').innerHTML = '<p>Gradients will appear here during backpropagation</p>';
     }
 
@@ -435,7 +664,7 @@ c = a * b
     }
 
     showMLPDemo() {
-        const mlp = new MLP(3, [4, 4, 1]);
+        const mlp = new MLP(3, [4, 4, 1], { activation: ['relu', 'relu', 'linear'] });
         this.visualizers.nn.visualizeNetwork(mlp, { animate: true });
         
         const arch = mlp.getArchitecture();
@@ -444,10 +673,50 @@ c = a * b
             <p>Input layer: ${arch.input} neurons</p>
             <p>Hidden layers: ${arch.hidden.join(', ')} neurons</p>
             <p>Output layer: ${arch.output} neurons</p>
+            <p>Activations: ${mlp.layers.map(layer => layer.activation).join(' → ')}</p>
             <p>Total parameters: ${mlp.parameters().length}</p>
         `;
     }
 
+    // d(outputs)/d(inputs) of a 3 -> 4 layer: one backward pass per neuron
+    showJacobianDemo() {
+        const layer = new Layer(3, 4);
+        const x = [1.0, -0.5, 2.0];
+        const { outputs, matrix, rowLabels, colLabels } = jacobian(layer, x);
+
+        this.visualizers.heatmap.visualizeMatrix(matrix, {
+            rowLabels,
+            colLabels,
+            title: 'Jacobian ∂y/∂x of Layer(3, 4)'
+        });
+
+        document.getElementById('architecture-display').innerHTML = `
+            <p><strong>Layer Jacobian</strong></p>
+            <p>Input x = [${x.join(', ')}]</p>
+            <p>Outputs: [${outputs.map(y => y.toFixed(3)).join(', ')}]</p>
+            <p>Row i holds the gradient of neuron i's output; for tanh it is (1 - yᵢ²) · wᵢ</p>
+        `;
+    }
+
+    // Second derivatives of a single tanh neuron with respect to its inputs
+    showHessianDemo() {
+        const neuron = new Neuron(3);
+        const x = [0.5, -1.0, 1.5];
+        const { value, matrix, rowLabels, colLabels } = hessian(neuron, x);
+
+        this.visualizers.heatmap.visualizeMatrix(matrix, {
+            rowLabels,
+            colLabels,
+            title: 'Hessian ∂²y/∂x² of a tanh Neuron(3)'
+        });
+
+        document.getElementById('architecture-display').innerHTML = `
+            <p><strong>Neuron Hessian</strong></p>
+            <p>Input x = [${x.join(', ')}], output y = ${value.toFixed(3)}</p>
+            <p>Symmetric, and equal to tanh''(z) · w wᵀ: every row is a multiple of the weights</p>
+        `;
+    }
+
     resetNeuralNetwork() {
         this.visualizers.nn.clear();
         document.getElementById('architecture-display').innerHTML = '<p>Select a demo to see network details</p>';
@@ -468,7 +737,12 @@ c = a * b
         const example = Examples.binaryClassification;
         this.trainingState.model = example.createModel();
         this.trainingState.data = example.createData();
-        this.trainingState.trainer = new Trainer(this.trainingState.model, Loss.mse, 0.01);
+        const optimizer = this.createOptimizer(
+            document.getElementById('optimizer-select').value,
+            this.trainingState.model.parameters()
+        );
+        const schedule = this.createSchedule(document.getElementById('schedule-select').value);
+        this.trainingState.trainer = new Trainer(this.trainingState.model, Loss.mse, optimizer, schedule);
         this.trainingState.epoch = 0;
         
         // Visualize initial network
@@ -522,9 +796,63 @@ c = a * b
         this.updateLossChart(result.loss);
     }
 
+    createOptimizer(name, parameters) {
+        switch (name) {
+            case 'momentum':
+                return new SGD(parameters, { lr: 0.01, momentum: 0.9 });
+            case 'nesterov':
+                return new SGD(parameters, { lr: 0.01, momentum: 0.9, nesterov: true });
+            case 'rmsprop':
+                return new RMSProp(parameters, { lr: 0.01 });
+            case 'adam':
+                return new Adam(parameters, { lr: 0.01 });
+            case 'adamw':
+                return new AdamW(parameters, { lr: 0.01 });
+            default:
+                return new SGD(parameters, { lr: 0.01 });
+        }
+    }
+
+    // Schedules sized for the 1000-epoch training loop
+    createSchedule(name) {
+        switch (name) {
+            case 'step':
+                return new StepLR({ stepSize: 250, gamma: 0.5 });
+            case 'exponential':
+                return new ExponentialLR({ gamma: 0.997 });
+            case 'cosine':
+                return new CosineAnnealingLR({ totalSteps: 1000 });
+            case 'warmup':
+                return new LinearWarmup({ warmupSteps: 50, after: new CosineAnnealingLR({ totalSteps: 950 }) });
+            case 'plateau':
+                return new ReduceLROnPlateau({ factor: 0.5, patience: 50 });
+            default:
+                return null;
+        }
+    }
+
     updateTrainingMetrics(result) {
         document.getElementById('epoch-count').textContent = this.trainingState.epoch;
         document.getElementById('current-loss').textContent = result.loss.toFixed(6);
+        this.showOptimizerState();
+    }
+
+    // Per-parameter optimizer state (velocity, moments) for the first neuron
+    showOptimizerState() {
+        const trainer = this.trainingState.trainer;
+        const { name, step, parameters } = trainer.optimizer.getState();
+        const neuron = this.trainingState.model.layers[0].neurons[0];
+        const fmt = x => x.toFixed(4);
+
+        document.getElementById('learning-rate').textContent = Number(trainer.learningRate.toPrecision(4));
+        document.getElementById('optimizer-name').textContent = `${name} (step ${step})`;
+
+        let html = '<p><strong>First neuron</strong></p>';
+        parameters.slice(0, neuron.parameters().length).forEach(({ label, data, grad, state }) => {
+            const stateText = Object.entries(state).map(([key, value]) => `${key} ${fmt(value)}`).join(', ');
+            html += `<p>${label}: ${fmt(data)} (grad ${fmt(grad)}${stateText ? `; ${stateText}` : ''})</p>`;
+        });
+        document.getElementById('optimizer-state').innerHTML = html;
     }
 
     updateTrainingControls() {
@@ -599,6 +927,9 @@ c = a * b
         
         document.getElementById('epoch-count').textContent = '0';
         document.getElementById('current-loss').textContent = '0.000';
+        document.getElementById('optimizer-name').textContent = 'SGD';
+        document.getElementById('learning-rate').textContent = '0.01';
+        document.getElementById('optimizer-state').innerHTML = '';
         
         this.initializeLossChart();
     }
@@ -5,6 +5,7 @@ class Module {
         const params = this.parameters();
         params.forEach(p => {
             p.grad = 0;
+            p.gradValue = null;
         });
     }
 
@@ -13,10 +14,39 @@ class Module {
     }
 }
 
+// Activations are 'linear' (no activation, e.g. for a regression output) or
+// a one-operand op: 'tanh', 'relu', 'sigmoid', 'gelu', ... or one added with
+// registerOp. proto is checked too, for engines that only implement some ops.
+function checkActivation(activation, proto = Value.prototype) {
+    if (activation === 'linear') {
+        return;
+    }
+    if (!unaryOpMethods().includes(activation) || typeof proto[activation] !== 'function') {
+        throw new Error(`Unknown activation: ${activation}`);
+    }
+}
+
+// MLP-style options take one activation for every layer or an array with one
+// per layer; this picks layer i's
+function layerActivation(activation, i, layerCount) {
+    if (!Array.isArray(activation)) {
+        return activation;
+    }
+    if (activation.length !== layerCount) {
+        throw new Error(`Expected ${layerCount} activations, got ${activation.length}`);
+    }
+    return activation[i];
+}
+
 class Neuron extends Module {
-    constructor(nin) {
+    constructor(nin, options = {}) {
         super();
+        const { activation = 'tanh', rng = getRng() } = options;
+        checkActivation(activation);
+
         this.nin = nin;
+        this.activation = activation;
+        this.rng = rng;
         this.w = [];
         this.b = null;
         this.init();
@@ -26,9 +56,9 @@ class Neuron extends Module {
         // Initialize weights with random values between -1 and 1
         for (let i = 0; i < this.nin; i++) {
             const weight = new Value(
-                (Math.random() * 2 - 1), 
-                [], 
-                '', 
+                this.rng.uniform(-1, 1),
+                [],
+                '',
                 `w${i}`
             );
             this.w.push(weight);
@@ -36,9 +66,9 @@ class Neuron extends Module {
         
         // Initialize bias
         this.b = new Value(
-            (Math.random() * 2 - 1), 
-            [], 
-            '', 
+            this.rng.uniform(-1, 1),
+            [],
+            '',
             'b'
         );
     }
@@ -57,8 +87,8 @@ class Neuron extends Module {
             act = act.add(this.w[i].mul(inputs[i]));
         }
 
-        // Apply tanh activation
-        const out = act.tanh();
+        // Apply the activation (tanh by default, any unary Value method works)
+        const out = this.activation === 'linear' ? act : act[this.activation]();
         return out;
     }
 
@@ -81,14 +111,16 @@ class Neuron extends Module {
 }
 
 class Layer extends Module {
-    constructor(nin, nout) {
+    // options as for Neuron; every neuron in the layer shares the activation
+    constructor(nin, nout, options = {}) {
         super();
         this.nin = nin;
         this.nout = nout;
+        this.activation = options.activation || 'tanh';
         this.neurons = [];
         
         for (let i = 0; i < nout; i++) {
-            this.neurons.push(new Neuron(nin));
+            this.neurons.push(new Neuron(nin, options));
         }
     }
 
@@ -124,7 +156,11 @@ class Layer extends Module {
 }
 
 class MLP extends Module {
-    constructor(nin, nouts) {
+    // options are passed to every Neuron, e.g. { rng: new Random(42) } for a
+    // reproducible initialization independent of the shared generator.
+    // activation can also be an array with one entry per layer, e.g.
+    // { activation: ['relu', 'relu', 'linear'] }.
+    constructor(nin, nouts, options = {}) {
         super();
         this.nin = nin;
         this.nouts = nouts;
@@ -132,7 +168,8 @@ class MLP extends Module {
         
         const sz = [nin, ...nouts];
         for (let i = 0; i < nouts.length; i++) {
-            this.layers.push(new Layer(sz[i], sz[i + 1]));
+            const activation = layerActivation(options.activation || 'tanh', i, nouts.length);
+            this.layers.push(new Layer(sz[i], sz[i + 1], { ...options, activation }));
         }
     }
 
@@ -186,6 +223,7 @@ class MLP extends Module {
             structure.push({
                 type: isOutput ? 'output' : 'hidden',
                 size: layer.nout,
+                activation: layer.activation,
                 neurons: layer.neurons.map((neuron, i) => ({
                     id: `layer_${layerIndex}_neuron_${i}`,
                     type: isOutput ? 'output' : 'hidden',
@@ -202,6 +240,7 @@ class MLP extends Module {
     zeroGrad() {
         this.parameters().forEach(p => {
             p.grad = 0;
+            p.gradValue = null;
         });
     }
 
@@ -213,54 +252,170 @@ class MLP extends Module {
 }
 
 // Loss functions
+// Combine per-sample loss terms: 'sum' (the default, as in the notebook) or 'mean'
+function reduceLoss(terms, reduction = 'sum') {
+    if (reduction !== 'sum' && reduction !== 'mean') {
+        throw new Error(`Unknown reduction: ${reduction}`);
+    }
+    let total = new Value(0);
+    terms.forEach(term => {
+        total = total.add(term);
+    });
+    return reduction === 'mean' && terms.length > 0 ? total.mul(1 / terms.length) : total;
+}
+
+const toValue = x => (x instanceof Value ? x : new Value(x));
+const toData = x => (Array.isArray(x) ? x.map(toData) : x instanceof Value ? x.data : x);
+
+// All losses take (predictions, targets, options) with options.reduction of
+// 'sum' or 'mean', so they can be passed to Trainer as they are
 class Loss {
-    static mse(predictions, targets) {
+    static checkLengths(predictions, targets) {
         if (predictions.length !== targets.length) {
             throw new Error('Predictions and targets must have the same length');
         }
+    }
 
-        let totalLoss = new Value(0);
-        for (let i = 0; i < predictions.length; i++) {
-            const pred = predictions[i] instanceof Value ? predictions[i] : new Value(predictions[i]);
-            const target = targets[i] instanceof Value ? targets[i] : new Value(targets[i]);
-            const diff = pred.sub(target);
-            totalLoss = totalLoss.add(diff.pow(2));
-        }
+    static mse(predictions, targets, options = {}) {
+        Loss.checkLengths(predictions, targets);
 
-        return totalLoss;
+        const terms = predictions.map((pred, i) => toValue(pred).sub(toValue(targets[i])).pow(2));
+        return reduceLoss(terms, options.reduction);
     }
 
-    static mae(predictions, targets) {
-        if (predictions.length !== targets.length) {
-            throw new Error('Predictions and targets must have the same length');
-        }
+    static mae(predictions, targets, options = {}) {
+        Loss.checkLengths(predictions, targets);
 
-        let totalLoss = new Value(0);
-        for (let i = 0; i < predictions.length; i++) {
-            const pred = predictions[i] instanceof Value ? predictions[i] : new Value(predictions[i]);
-            const target = targets[i] instanceof Value ? targets[i] : new Value(targets[i]);
-            const diff = pred.sub(target);
-            // Approximate absolute value using smooth approximation for differentiability
-            const abs_diff = diff.pow(2).pow(0.5);
-            totalLoss = totalLoss.add(abs_diff);
-        }
+        // Approximate absolute value using smooth approximation for differentiability
+        const terms = predictions.map((pred, i) => toValue(pred).sub(toValue(targets[i])).pow(2).pow(0.5));
+        return reduceLoss(terms, options.reduction);
+    }
+
+    // Multi-class: each prediction is an array of logits (e.g. MLP(2, [8, 3])
+    // outputs), each target a class index or an array of class probabilities.
+    // Uses log-softmax with the largest logit subtracted first, so large
+    // logits don't overflow exp().
+    static softmaxCrossEntropy(predictions, targets, options = {}) {
+        Loss.checkLengths(predictions, targets);
 
-        return totalLoss;
+        const terms = predictions.map((logits, i) => {
+            if (!Array.isArray(logits)) {
+                throw new Error('softmaxCrossEntropy expects an array of logits per sample');
+            }
+            const z = logits.map(toValue);
+            const shift = Math.max(...z.map(v => v.data));
+            let sumExp = new Value(0);
+            z.forEach(v => {
+                sumExp = sumExp.add(v.sub(shift).exp());
+            });
+            const logSumExp = sumExp.log().add(shift);
+
+            const target = targets[i];
+            if (Array.isArray(target)) {
+                if (target.length !== z.length) {
+                    throw new Error(`Expected ${z.length} class probabilities, got ${target.length}`);
+                }
+                // -sum_k t_k * log_softmax(z)_k
+                return reduceLoss(z.map((v, k) => logSumExp.sub(v).mul(target[k])));
+            }
+            if (!Number.isInteger(target) || target < 0 || target >= z.length) {
+                throw new Error(`Class index ${target} is out of range for ${z.length} logits`);
+            }
+            return logSumExp.sub(z[target]);
+        });
+        return reduceLoss(terms, options.reduction);
+    }
+
+    // Binary cross-entropy on logits (sigmoid applied inside):
+    // softplus(z) - t * z, which is -log(sigmoid(z)) for t = 1 and
+    // -log(1 - sigmoid(z)) for t = 0 without ever computing log(0).
+    // Targets are probabilities in [0, 1], so soft labels (e.g. label
+    // smoothing) work too; -1 counts as 0, matching the ±1 labels in Examples.
+    static binaryCrossEntropy(predictions, targets, options = {}) {
+        Loss.checkLengths(predictions, targets);
+
+        const terms = predictions.map((pred, i) => {
+            const z = toValue(pred);
+            let t = targets[i];
+            if (t === -1) {
+                t = 0;
+            } else if (!(t >= 0 && t <= 1)) {
+                throw new Error(`binaryCrossEntropy targets must be in [0, 1] or -1, got ${t}`);
+            }
+            return z.softplus().sub(z.mul(t));
+        });
+        return reduceLoss(terms, options.reduction);
+    }
+
+    // Max-margin loss from the micrograd moons demo: relu(1 - y * score), with
+    // labels ±1 (0 counts as -1)
+    static hinge(predictions, targets, options = {}) {
+        Loss.checkLengths(predictions, targets);
+
+        const terms = predictions.map((pred, i) => {
+            const y = targets[i] > 0 ? 1 : -1;
+            return toValue(pred).mul(-y).add(1).relu();
+        });
+        return reduceLoss(terms, options.reduction);
+    }
+
+    // alpha * sum (or mean) of squared parameters
+    static l2(parameters, options = {}) {
+        const { alpha = 1e-4, reduction = 'sum' } = options;
+        return reduceLoss(parameters.map(p => p.mul(p)), reduction).mul(alpha);
+    }
+
+    // Any loss plus an L2 penalty on model's parameters, in the
+    // (predictions, targets) form Trainer expects, e.g.
+    // new Trainer(model, Loss.withL2(Loss.hinge, model, { alpha: 1e-4 }))
+    static withL2(lossFn, model, options = {}) {
+        const { alpha, reduction, penaltyReduction = 'sum' } = options;
+        return (predictions, targets) => lossFn(predictions, targets, { reduction })
+            .add(Loss.l2(model.parameters(), { alpha, reduction: penaltyReduction }));
     }
 }
 
 // Training utilities
 class Trainer {
-    constructor(model, lossFn = Loss.mse, learningRate = 0.01) {
+    // optimizer is an Optimizer from optim.js over model.parameters(), or a
+    // number for plain SGD with that learning rate. schedule (optional, also
+    // from optim.js) sets the optimizer's rate before every step, starting
+    // from the rate the optimizer was created with.
+    constructor(model, lossFn = Loss.mse, optimizer = 0.01, schedule = null) {
         this.model = model;
         this.lossFn = lossFn;
-        this.learningRate = learningRate;
+        this.optimizer = typeof optimizer === 'number'
+            ? new SGD(model.parameters(), { lr: optimizer })
+            : optimizer;
+        this.schedule = schedule;
+        this.baseLearningRate = this.optimizer.lr;
+        // lossHistory has one entry per optimizer step (batch),
+        // epochLossHistory one per epoch of train()
         this.lossHistory = [];
+        this.epochLossHistory = [];
+        this.learningRateHistory = [];
+    }
+
+    get learningRate() {
+        return this.optimizer.lr;
+    }
+
+    // Setting the rate also moves the base a schedule starts from, so the
+    // next scheduled step doesn't undo it
+    set learningRate(lr) {
+        this.optimizer.lr = lr;
+        this.baseLearningRate = lr;
     }
 
     trainStep(inputs, targets) {
+        if (this.schedule) {
+            const step = this.learningRateHistory.length;
+            this.optimizer.lr = this.schedule.learningRate(step, this.baseLearningRate, this.lossHistory);
+        }
+        this.learningRateHistory.push(this.optimizer.lr);
+
         // Zero gradients
-        this.model.zeroGrad();
+        this.optimizer.zeroGrad();
 
         // Forward pass
         const predictions = inputs.map(input => this.model.forward(input));
@@ -272,31 +427,82 @@ class Trainer {
         loss.backward();
 
         // Update parameters
-        this.model.updateParameters(this.learningRate);
+        this.optimizer.step();
 
         // Store loss for visualization
         this.lossHistory.push(loss.data);
 
         return {
             loss: loss.data,
-            predictions: predictions.map(p => p instanceof Value ? p.data : p)
+            learningRate: this.optimizer.lr,
+            // Plain numbers only (multi-output predictions element-wise), so the
+            // history doesn't keep every step's graph alive
+            predictions: predictions.map(toData)
         };
     }
 
-    train(inputs, targets, epochs = 100) {
+    // Trains in mini-batches from a DataLoader (data.js) built with options
+    // { batchSize, shuffle, dropLast, seed }; without a batchSize every epoch
+    // is one full-dataset step, as before. options.reduction is passed on to
+    // trainEpochs.
+    train(inputs, targets, epochs = 100, options = {}) {
+        const { reduction = 'sum', ...loaderOptions } = options;
+        const loader = new DataLoader(new Dataset(inputs, targets), loaderOptions);
+        return this.trainEpochs(loader, epochs, { reduction });
+    }
+
+    // One optimizer step per batch. Each history entry is an epoch with the
+    // batch losses listed under `batches` and predictions in dataset order
+    // (null for samples dropLast skipped). options.reduction should match the
+    // loss function's: with 'sum' (the Loss default) the epoch loss adds up
+    // the batch losses, with 'mean' it is their size-weighted mean. Either way
+    // it doesn't depend on the batch size.
+    trainEpochs(loader, epochs = 100, options = {}) {
+        const { reduction = 'sum' } = options;
+        if (reduction !== 'sum' && reduction !== 'mean') {
+            throw new Error(`Unknown reduction: ${reduction}`);
+        }
         const history = [];
-        
+
         for (let epoch = 0; epoch < epochs; epoch++) {
-            const result = this.trainStep(inputs, targets);
+            const batches = [];
+            const predictions = loader.dataset.inputs.map(() => null);
+            let totalLoss = 0;
+            let weightedLoss = 0;
+            let samples = 0;
+
+            loader.batches().forEach((batch, index) => {
+                const result = this.trainStep(batch.inputs, batch.targets);
+                batch.indices.forEach((datasetIndex, j) => {
+                    predictions[datasetIndex] = result.predictions[j];
+                });
+                totalLoss += result.loss;
+                weightedLoss += result.loss * batch.indices.length;
+                samples += batch.indices.length;
+                batches.push({
+                    batch: index,
+                    size: batch.indices.length,
+                    loss: result.loss,
+                    learningRate: result.learningRate
+                });
+            });
+
+            let loss = totalLoss;
+            if (reduction === 'mean') {
+                loss = samples > 0 ? weightedLoss / samples : NaN;
+            }
+            this.epochLossHistory.push(loss);
             history.push({
                 epoch,
-                loss: result.loss,
-                predictions: result.predictions
+                loss,
+                learningRate: this.optimizer.lr,
+                batches,
+                predictions
             });
 
             // Log progress every 10 epochs
             if (epoch % 10 === 0) {
-                console.log(`Epoch ${epoch}: Loss = ${result.loss.toFixed(6)}`);
+                console.log(`Epoch ${epoch}: Loss = ${loss.toFixed(6)}`);
             }
         }
 
@@ -307,15 +513,26 @@ class Trainer {
         return this.lossHistory;
     }
 
+    getEpochLossHistory() {
+        return this.epochLossHistory;
+    }
+
+    getLearningRateHistory() {
+        return this.learningRateHistory;
+    }
+
     reset() {
         this.lossHistory = [];
+        this.epochLossHistory = [];
+        this.learningRateHistory = [];
     }
 }
 
 // Example datasets and models
 const Examples = {
     simpleRegression: {
-        createModel: () => new MLP(1, [1]),
+        // Linear output: tanh could never reach targets up to 8
+        createModel: () => new MLP(1, [1], { activation: 'linear' }),
         createData: () => ({
             inputs: [[0], [1], [2], [3], [4]],
             targets: [0, 2, 4, 6, 8] // y = 2x
@@ -346,5 +563,5 @@ const Examples = {
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Module, Neuron, Layer, MLP, Loss, Trainer, Examples };
+    module.exports = { Module, Neuron, Layer, MLP, Loss, Trainer, Examples, checkActivation, layerActivation };
 }
\ No newline at end of file
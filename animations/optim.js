@@ -0,0 +1,266 @@
+// Optimizers for Value parameters. Each keeps its own per-parameter state
+// (velocities, moment estimates) alongside the parameter list, so the update
+// rule is swappable without touching the model. Usage per training step:
+//   optimizer.zeroGrad(); loss.backward(); optimizer.step();
+
+class Optimizer {
+    // options.lr is read on every step, so it can be changed between steps
+    // (e.g. by a learning-rate schedule)
+    constructor(parameters, options = {}) {
+        const { lr = 0.01, weightDecay = 0 } = options;
+        this.parameters = parameters;
+        this.lr = lr;
+        this.weightDecay = weightDecay;
+        this.stepCount = 0;
+        this.state = parameters.map(() => this.initState());
+    }
+
+    // Per-parameter state, created once for each parameter
+    initState() {
+        return {};
+    }
+
+    zeroGrad() {
+        this.parameters.forEach(p => {
+            p.grad = 0;
+            p.gradValue = null;
+        });
+    }
+
+    step() {
+        this.stepCount++;
+        this.parameters.forEach((p, i) => {
+            // L2 weight decay folded into the gradient
+            const grad = p.grad + this.weightDecay * p.data;
+            this.update(p, grad, this.state[i]);
+        });
+    }
+
+    update(p, grad, state) {
+        throw new Error(`${this.constructor.name} must implement update()`);
+    }
+
+    hyperparameters() {
+        return { lr: this.lr, weightDecay: this.weightDecay };
+    }
+
+    // Snapshot for inspection: hyperparameters plus each parameter's value,
+    // gradient and optimizer state (copied, so later steps don't change it)
+    getState() {
+        return {
+            name: this.constructor.name,
+            step: this.stepCount,
+            hyperparameters: this.hyperparameters(),
+            parameters: this.parameters.map((p, i) => ({
+                index: i,
+                label: p.label,
+                data: p.data,
+                grad: p.grad,
+                state: { ...this.state[i] }
+            }))
+        };
+    }
+}
+
+// Plain gradient descent, optionally with (Nesterov) momentum:
+//   v = momentum * v + grad
+//   p -= lr * v                        (classical)
+//   p -= lr * (grad + momentum * v)    (Nesterov)
+// With momentum = 0 this is the same update as MLP.updateParameters.
+class SGD extends Optimizer {
+    constructor(parameters, options = {}) {
+        super(parameters, options);
+        const { momentum = 0, nesterov = false } = options;
+        if (nesterov && momentum <= 0) {
+            throw new Error('Nesterov momentum requires momentum > 0');
+        }
+        this.momentum = momentum;
+        this.nesterov = nesterov;
+    }
+
+    initState() {
+        return { velocity: 0 };
+    }
+
+    update(p, grad, state) {
+        if (this.momentum === 0) {
+            p.data -= this.lr * grad;
+            return;
+        }
+        state.velocity = this.momentum * state.velocity + grad;
+        const direction = this.nesterov ? grad + this.momentum * state.velocity : state.velocity;
+        p.data -= this.lr * direction;
+    }
+
+    hyperparameters() {
+        return { ...super.hyperparameters(), momentum: this.momentum, nesterov: this.nesterov };
+    }
+}
+
+// Divides each step by a running RMS of the gradient:
+//   s = alpha * s + (1 - alpha) * grad^2
+//   p -= lr * grad / (sqrt(s) + eps)
+class RMSProp extends Optimizer {
+    constructor(parameters, options = {}) {
+        super(parameters, options);
+        const { alpha = 0.99, eps = 1e-8 } = options;
+        this.alpha = alpha;
+        this.eps = eps;
+    }
+
+    initState() {
+        return { squareAvg: 0 };
+    }
+
+    update(p, grad, state) {
+        state.squareAvg = this.alpha * state.squareAvg + (1 - this.alpha) * grad * grad;
+        p.data -= this.lr * grad / (Math.sqrt(state.squareAvg) + this.eps);
+    }
+
+    hyperparameters() {
+        return { ...super.hyperparameters(), alpha: this.alpha, eps: this.eps };
+    }
+}
+
+// Bias-corrected first and second moment estimates:
+//   m = beta1 * m + (1 - beta1) * grad
+//   v = beta2 * v + (1 - beta2) * grad^2
+//   p -= lr * m_hat / (sqrt(v_hat) + eps), m_hat = m / (1 - beta1^t), ...
+// weightDecay here is L2 regularization added to the gradient; see AdamW for
+// the decoupled version.
+class Adam extends Optimizer {
+    constructor(parameters, options = {}) {
+        super(parameters, { lr: 0.001, ...options });
+        const { beta1 = 0.9, beta2 = 0.999, eps = 1e-8 } = options;
+        this.beta1 = beta1;
+        this.beta2 = beta2;
+        this.eps = eps;
+    }
+
+    initState() {
+        return { m: 0, v: 0 };
+    }
+
+    update(p, grad, state) {
+        state.m = this.beta1 * state.m + (1 - this.beta1) * grad;
+        state.v = this.beta2 * state.v + (1 - this.beta2) * grad * grad;
+        const mHat = state.m / (1 - Math.pow(this.beta1, this.stepCount));
+        const vHat = state.v / (1 - Math.pow(this.beta2, this.stepCount));
+        p.data -= this.lr * mHat / (Math.sqrt(vHat) + this.eps);
+    }
+
+    hyperparameters() {
+        return { ...super.hyperparameters(), beta1: this.beta1, beta2: this.beta2, eps: this.eps };
+    }
+}
+
+// Adam with decoupled weight decay: parameters shrink by lr * weightDecay * p
+// directly instead of through the gradient, so the decay isn't rescaled by
+// the adaptive step size
+class AdamW extends Adam {
+    constructor(parameters, options = {}) {
+        super(parameters, { weightDecay: 0.01, ...options });
+    }
+
+    step() {
+        this.stepCount++;
+        this.parameters.forEach((p, i) => {
+            p.data -= this.lr * this.weightDecay * p.data;
+            this.update(p, p.grad, this.state[i]);
+        });
+    }
+}
+
+// Learning-rate schedules. Trainer asks its schedule for the rate before
+// every step with learningRate(step, baseLr, lossHistory), where step counts
+// from 0 and lossHistory holds the losses of the steps so far.
+
+// Multiply by gamma every stepSize steps
+class StepLR {
+    constructor({ stepSize, gamma = 0.1 }) {
+        this.stepSize = stepSize;
+        this.gamma = gamma;
+    }
+
+    learningRate(step, baseLr) {
+        return baseLr * Math.pow(this.gamma, Math.floor(step / this.stepSize));
+    }
+}
+
+// Multiply by gamma every step
+class ExponentialLR {
+    constructor({ gamma }) {
+        this.gamma = gamma;
+    }
+
+    learningRate(step, baseLr) {
+        return baseLr * Math.pow(this.gamma, step);
+    }
+}
+
+// Half a cosine from baseLr down to minLr over totalSteps, then stay there
+class CosineAnnealingLR {
+    constructor({ totalSteps, minLr = 0 }) {
+        this.totalSteps = totalSteps;
+        this.minLr = minLr;
+    }
+
+    learningRate(step, baseLr) {
+        const progress = Math.min(step, this.totalSteps) / this.totalSteps;
+        return this.minLr + (baseLr - this.minLr) * (1 + Math.cos(Math.PI * progress)) / 2;
+    }
+}
+
+// Ramp linearly up to baseLr over warmupSteps, then hand over to `after`
+// (another schedule, counting its steps from the end of the warmup) or stay
+// at baseLr
+class LinearWarmup {
+    constructor({ warmupSteps, after = null }) {
+        this.warmupSteps = warmupSteps;
+        this.after = after;
+    }
+
+    learningRate(step, baseLr, lossHistory) {
+        if (step < this.warmupSteps) {
+            return baseLr * (step + 1) / this.warmupSteps;
+        }
+        return this.after ? this.after.learningRate(step - this.warmupSteps, baseLr, lossHistory) : baseLr;
+    }
+}
+
+// Multiply by factor once the loss hasn't improved on its best by a relative
+// threshold for more than `patience` steps. Unlike the others it keeps state,
+// so it should be queried exactly once per step.
+class ReduceLROnPlateau {
+    constructor({ factor = 0.1, patience = 10, threshold = 1e-4, minLr = 0 } = {}) {
+        this.factor = factor;
+        this.patience = patience;
+        this.threshold = threshold;
+        this.minLr = minLr;
+        this.scale = 1;
+        this.best = Infinity;
+        this.wait = 0;
+    }
+
+    learningRate(step, baseLr, lossHistory) {
+        if (lossHistory.length > 0) {
+            const loss = lossHistory[lossHistory.length - 1];
+            if (loss < this.best * (1 - this.threshold)) {
+                this.best = loss;
+                this.wait = 0;
+            } else if (++this.wait > this.patience) {
+                this.scale *= this.factor;
+                this.wait = 0;
+            }
+        }
+        return Math.max(baseLr * this.scale, this.minLr);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Optimizer, SGD, RMSProp, Adam, AdamW,
+        StepLR, ExponentialLR, CosineAnnealingLR, LinearWarmup, ReduceLROnPlateau
+    };
+}
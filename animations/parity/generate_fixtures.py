@@ -0,0 +1,168 @@
+"""Generate fixtures.json for the value.js/nn.js parity suite.
+
+Evaluates every fixture with the Python reference (engine.py and nn.py at the
+repo root) and records the resulting data and gradients. Run it from anywhere:
+
+    python3 animations/parity/generate_fixtures.py
+
+Only the standard library is needed. Weights come from seeded random.Random
+instances, and gradients are accumulated in a fixed order (see backward()),
+so the output is the same on every run.
+
+engine.py is the reference and is used as it is, which means two known
+divergences from value.js:
+
+- Value.backward() recurses into children, running a shared node's _backward
+  once per path, and never seeds the output gradient. backward() below runs
+  the same per-op _backward closures in topological order instead.
+- exp() never attaches its _backward, so gradients stop at exp nodes. Fixtures
+  using exp record only the output data (see KNOWN_DIVERGENCES).
+"""
+
+import json
+import os
+import random
+import sys
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+ROOT = os.path.abspath(os.path.join(HERE, '..', '..'))
+sys.path.insert(0, ROOT)
+
+import engine  # noqa: E402
+from engine import Value  # noqa: E402
+from nn import MLP  # noqa: E402
+
+# Functions whose gradients engine.py gets wrong, with the reason. Expressions
+# calling them are checked on data only.
+KNOWN_DIVERGENCES = {
+    'exp': "engine.py's exp() doesn't attach its _backward",
+}
+
+# Number every Value as it is created. _prev is a set of objects, whose order
+# changes from run to run; sorting children by creation makes the order in
+# which gradients are added up (and so the last bit of each one) fixed.
+_created = 0
+_value_init = Value.__init__
+
+
+def _numbered_init(self, *args, **kwargs):
+    global _created
+    _value_init(self, *args, **kwargs)
+    self._index = _created
+    _created += 1
+
+
+engine.Value.__init__ = _numbered_init
+
+
+def backward(root):
+    """Backpropagate from root through the reference's own _backward closures."""
+    topo = []
+    visited = set()
+
+    def build_topo(v):
+        if v not in visited:
+            visited.add(v)
+            for child in sorted(v._prev, key=lambda c: c._index):
+                build_topo(child)
+            topo.append(v)
+
+    build_topo(root)
+    root.grad = 1.0
+    for v in reversed(topo):
+        v._backward()
+
+# Expressions use the syntax shared by Python and animations/parser.js, limited
+# to the ops engine.py supports
+EXPRESSIONS = [
+    ('add_mul', 'x*y + z', {'x': 2.0, 'y': -3.0, 'z': 10.0}),
+    ('sub_neg', 'x - y - (-z)', {'x': 1.5, 'y': 4.25, 'z': -0.5}),
+    ('div', 'x / y', {'x': 3.0, 'y': 7.0}),
+    ('pow', 'x**3 + x**-2 + x**0.5', {'x': 1.7}),
+    ('constants', '3 - 2*x + x*4', {'x': 0.3}),
+    ('shared_node', '(x*y) * (x*y) + x', {'x': 0.8, 'y': -1.1}),
+    ('tanh_neuron', 'tanh(x1*w1 + x2*w2 + b)', {'x1': 2.0, 'x2': 0.0, 'w1': -3.0, 'w2': 1.0, 'b': 6.8813735870195432}),
+    ('relu', 'relu(x) + relu(y) * x', {'x': 1.25, 'y': -0.75}),
+    ('exp', 'exp(x) / (exp(x) + exp(y))', {'x': 0.4, 'y': -1.3}),
+    ('tanh_via_exp', '(exp(2*x) - 1) / (exp(2*x) + 1)', {'x': 0.6}),
+]
+
+# (name, seed, nin, nouts, inputs, targets)
+MLPS = [
+    ('single_neuron', 1, 3, [1], [[2.0, 3.0, -1.0]], [1.0]),
+    ('one_hidden_layer', 2, 2, [4, 1], [[0.0, 0.0], [0.0, 1.0], [1.0, 0.0], [1.0, 1.0]], [0.0, 1.0, 1.0, 0.0]),
+    ('notebook_mlp', 3, 3, [4, 4, 1],
+     [[2.0, 3.0, -1.0], [3.0, -1.0, 0.5], [0.5, 1.0, 1.0], [1.0, 1.0, -1.0]],
+     [1.0, -1.0, -1.0, 1.0]),
+]
+
+FUNCTIONS = {
+    'tanh': lambda v: v.tanh(),
+    'relu': lambda v: v.relu(),
+    'exp': lambda v: v.exp(),
+}
+
+
+def expression_fixture(name, source, variables):
+    leaves = {k: Value(x, label=k) for k, x in variables.items()}
+    out = eval(source, {'__builtins__': {}, **FUNCTIONS}, dict(leaves))
+    backward(out)
+    fixture = {
+        'name': name,
+        'source': source,
+        'variables': variables,
+        'expected': {
+            'data': out.data,
+            'grads': {k: v.grad for k, v in leaves.items()},
+        },
+    }
+
+    divergences = [reason for fn, reason in KNOWN_DIVERGENCES.items() if f'{fn}(' in source]
+    if divergences:
+        fixture['expected']['grads'] = {}
+        fixture['dataOnly'] = '; '.join(divergences)
+    return fixture
+
+
+def mlp_fixture(name, seed, nin, nouts, inputs, targets):
+    model = MLP(nin, nouts)
+    rng = random.Random(seed)
+    for p in model.parameters():
+        p.data = rng.uniform(-1, 1)
+    parameters = [p.data for p in model.parameters()]
+
+    outputs = [model(x) for x in inputs]
+    # Same sum of squared errors as Loss.mse in nn.js
+    loss = sum((y - t) ** 2 for y, t in zip(outputs, targets))
+    backward(loss)
+
+    return {
+        'name': name,
+        'nin': nin,
+        'nouts': nouts,
+        'parameters': parameters,
+        'inputs': inputs,
+        'targets': targets,
+        'expected': {
+            'outputs': [y.data for y in outputs],
+            'loss': loss.data,
+            'grads': [p.grad for p in model.parameters()],
+        },
+    }
+
+
+def main():
+    fixtures = {
+        'generatedBy': 'python3 animations/parity/generate_fixtures.py',
+        'expressions': [expression_fixture(*args) for args in EXPRESSIONS],
+        'mlps': [mlp_fixture(*args) for args in MLPS],
+    }
+    path = os.path.join(HERE, 'fixtures.json')
+    with open(path, 'w') as f:
+        json.dump(fixtures, f, indent=2)
+        f.write('\n')
+    print(f"Wrote {len(fixtures['expressions'])} expressions and {len(fixtures['mlps'])} MLPs to {path}")
+
+
+if __name__ == '__main__':
+    main()
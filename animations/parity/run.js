@@ -0,0 +1,108 @@
+// Check value.js / nn.js against fixtures.json, which is generated from the
+// Python reference (engine.py / nn.py) by generate_fixtures.py.
+//
+//     node animations/parity/run.js
+//
+// Exits with status 1 and lists every mismatch when the two have drifted.
+
+const path = require('path');
+const fs = require('fs');
+
+// The engine files are browser scripts that share globals, so load them the
+// same way here
+Object.assign(global, require('../value.js'));
+Object.assign(global, require('../nn.js'));
+Object.assign(global, require('../parser.js'));
+
+// Python and JS may round exp/pow differently in the last bit
+const RTOL = 1e-10;
+const ATOL = 1e-12;
+
+const close = (actual, expected) =>
+    Math.abs(actual - expected) <= ATOL + RTOL * Math.abs(expected);
+
+function checkExpression(fixture, fail) {
+    const { output, variables } = parseExpression(fixture.source, fixture.variables);
+    output.backward();
+
+    if (!close(output.data, fixture.expected.data)) {
+        fail('data', output.data, fixture.expected.data);
+    }
+    Object.entries(fixture.expected.grads).forEach(([name, grad]) => {
+        if (!close(variables[name].grad, grad)) {
+            fail(`grad ${name}`, variables[name].grad, grad);
+        }
+    });
+}
+
+function checkMLP(fixture, fail) {
+    const model = new MLP(fixture.nin, fixture.nouts);
+    const params = model.parameters();
+    if (params.length !== fixture.parameters.length) {
+        fail('parameter count', params.length, fixture.parameters.length);
+        return;
+    }
+    params.forEach((p, i) => {
+        p.data = fixture.parameters[i];
+    });
+
+    const outputs = fixture.inputs.map(x => model.forward(x));
+    const loss = Loss.mse(outputs, fixture.targets);
+    loss.backward();
+
+    outputs.forEach((y, i) => {
+        if (!close(y.data, fixture.expected.outputs[i])) {
+            fail(`output ${i}`, y.data, fixture.expected.outputs[i]);
+        }
+    });
+    if (!close(loss.data, fixture.expected.loss)) {
+        fail('loss', loss.data, fixture.expected.loss);
+    }
+    params.forEach((p, i) => {
+        if (!close(p.grad, fixture.expected.grads[i])) {
+            fail(`grad of parameter ${i}`, p.grad, fixture.expected.grads[i]);
+        }
+    });
+}
+
+function run() {
+    const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures.json'), 'utf8'));
+    const suites = [
+        ['expression', fixtures.expressions, checkExpression],
+        ['mlp', fixtures.mlps, checkMLP]
+    ];
+
+    let failures = 0;
+    let total = 0;
+    suites.forEach(([kind, cases, check]) => {
+        cases.forEach(fixture => {
+            const mismatches = [];
+            const fail = (what, actual, expected) => mismatches.push(`${what}: got ${actual}, expected ${expected}`);
+            try {
+                check(fixture, fail);
+            } catch (error) {
+                mismatches.push(`threw ${error.message}`);
+            }
+
+            total++;
+            if (mismatches.length > 0) {
+                failures++;
+                console.log(`FAIL ${kind} ${fixture.name}`);
+                mismatches.forEach(m => console.log(`    ${m}`));
+            } else if (fixture.dataOnly) {
+                // A known divergence in engine.py, recorded by generate_fixtures.py
+                console.log(`ok   ${kind} ${fixture.name} (data only: ${fixture.dataOnly})`);
+            } else {
+                console.log(`ok   ${kind} ${fixture.name}`);
+            }
+        });
+    });
+
+    console.log(`\n${total - failures}/${total} fixtures match the Python reference`);
+    if (failures > 0) {
+        console.log(`Expected values come from: ${fixtures.generatedBy}`);
+        process.exitCode = 1;
+    }
+}
+
+run();
@@ -0,0 +1,264 @@
+// Parse expression strings like "tanh(x1*w1 + x2*w2 + b)" into Value graphs
+
+// Functions callable from expressions, with their [min, max] argument counts
+// and how many leading arguments are Value operands (1 when omitted). Further
+// arguments are passed to the Value method as numbers. Ops added with
+// registerOp() are listed here too. Lookups use Object.hasOwn so names like
+// "toString" or "constructor" don't resolve to Object.prototype members.
+const EXPRESSION_FUNCTIONS = {
+    tanh: [1, 1],
+    relu: [1, 1],
+    exp: [1, 1],
+    sigmoid: [1, 1],
+    log: [1, 1],
+    abs: [1, 1],
+    sin: [1, 1],
+    cos: [1, 1],
+    softplus: [1, 1],
+    gelu: [1, 1],
+    leakyRelu: [1, 2]
+};
+
+class ParseError extends Error {
+    constructor(message, source, position) {
+        // Point at the offending character under a copy of the source
+        super(`${message} at position ${position}\n${source}\n${' '.repeat(position)}^`);
+        this.name = 'ParseError';
+        this.position = position;
+    }
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), start: i, end: i + number[0].length });
+            i += number[0].length;
+            continue;
+        }
+
+        const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+        if (name) {
+            tokens.push({ type: 'name', value: name[0], start: i, end: i + name[0].length });
+            i += name[0].length;
+            continue;
+        }
+
+        if (source.startsWith('**', i)) {
+            tokens.push({ type: 'op', value: '**', start: i, end: i + 2 });
+            i += 2;
+            continue;
+        }
+
+        if ('+-*/(),'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        throw new ParseError(`Unexpected character '${ch}'`, source, i);
+    }
+
+    tokens.push({ type: 'end', value: 'end of input', start: source.length, end: source.length });
+    return tokens;
+}
+
+// Recursive descent, building Values as it goes. Precedence from low to high:
+// + -, * /, unary -, ** (right associative, so -x**2 is -(x**2) as in Python).
+class ExpressionParser {
+    constructor(source, variables) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.pos = 0;
+        this.variables = {};
+
+        Object.entries(variables).forEach(([name, value]) => {
+            this.variables[name] = value instanceof Value ? value : createValue(value, name);
+        });
+    }
+
+    parse() {
+        const node = this.parseAdditive();
+        this.expect('end');
+        return node.value;
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token.type === 'op' && token.value === value;
+    }
+
+    expect(type, value) {
+        const token = this.peek();
+        if (token.type !== type || (value !== undefined && token.value !== value)) {
+            const expected = value !== undefined ? `'${value}'` : type === 'end' ? 'end of input' : type;
+            const found = token.type === 'end' ? 'end of input' : `'${token.value}'`;
+            throw new ParseError(`Expected ${expected} but found ${found}`, this.source, token.start);
+        }
+        return this.next();
+    }
+
+    // Parsed nodes carry their source span so results can be labelled with
+    // the text of the subexpression that produced them. Nodes built only from
+    // number literals also carry their value as `literal`, so an exponent like
+    // (1 + 1) is folded to a number.
+    label(value, start, end, operands = []) {
+        if (!value.label) {
+            value.label = this.source.slice(start, end).trim();
+        }
+        const node = { value, start, end };
+        if (operands.length > 0 && operands.every(operand => operand.literal !== undefined)) {
+            node.literal = value.data;
+        }
+        return node;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOp('+') || this.isOp('-')) {
+            const op = this.next().value;
+            const right = this.parseMultiplicative();
+            const value = op === '+' ? left.value.add(right.value) : left.value.sub(right.value);
+            left = this.label(value, left.start, right.end, [left, right]);
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOp('*') || this.isOp('/')) {
+            const op = this.next().value;
+            const right = this.parseUnary();
+            const value = op === '*' ? left.value.mul(right.value) : left.value.div(right.value);
+            left = this.label(value, left.start, right.end, [left, right]);
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('-') || this.isOp('+')) {
+            const token = this.next();
+            const operand = this.parseUnary();
+            if (token.value === '+') {
+                return { value: operand.value, start: token.start, end: operand.end, literal: operand.literal };
+            }
+            // Fold negative literals so "2**-1" keeps a number exponent
+            if (operand.literal !== undefined) {
+                return { ...this.constant(-operand.literal, token.start, operand.end), literal: -operand.literal };
+            }
+            return this.label(operand.value.neg(), token.start, operand.end);
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePrimary();
+        if (!this.isOp('**')) {
+            return base;
+        }
+
+        this.next();
+        const exponent = this.parseUnary();
+        // Literal exponents, including constant subexpressions such as (2) or
+        // (1 + 1), use the number form of pow (labelled "**2"), while anything
+        // else becomes a Value exponent
+        const value = exponent.literal !== undefined
+            ? base.value.pow(exponent.literal)
+            : base.value.pow(exponent.value);
+        return this.label(value, base.start, exponent.end, [base, exponent]);
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number') {
+            this.next();
+            return { ...this.constant(token.value, token.start, token.end), literal: token.value };
+        }
+
+        if (token.type === 'name') {
+            this.next();
+            if (this.isOp('(')) {
+                return this.parseCall(token);
+            }
+            if (!Object.hasOwn(this.variables, token.value)) {
+                throw new ParseError(`Unknown variable '${token.value}'`, this.source, token.start);
+            }
+            return { value: this.variables[token.value], start: token.start, end: token.end };
+        }
+
+        if (this.isOp('(')) {
+            this.next();
+            const inner = this.parseAdditive();
+            const close = this.expect('op', ')');
+            // Parentheses only group; the inner node keeps its own label
+            return { value: inner.value, start: token.start, end: close.end, literal: inner.literal };
+        }
+
+        const found = token.type === 'end' ? 'end of input' : `'${token.value}'`;
+        throw new ParseError(`Unexpected ${found}`, this.source, token.start);
+    }
+
+    parseCall(nameToken) {
+        const name = nameToken.value;
+        if (!Object.hasOwn(EXPRESSION_FUNCTIONS, name)) {
+            throw new ParseError(`Unknown function '${name}'`, this.source, nameToken.start);
+        }
+
+        this.expect('op', '(');
+        const args = [];
+        if (!this.isOp(')')) {
+            args.push(this.parseAdditive());
+            while (this.isOp(',')) {
+                this.next();
+                args.push(this.parseAdditive());
+            }
+        }
+        const close = this.expect('op', ')');
+
+        const [min, max, operandCount = 1] = EXPRESSION_FUNCTIONS[name];
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? `${min}` : `${min} to ${max}`;
+            throw new ParseError(`${name}() takes ${expected} argument(s), got ${args.length}`, this.source, nameToken.start);
+        }
+
+        const [input, ...rest] = args;
+        const value = input.value[name](...rest.map((arg, i) => (i < operandCount - 1 ? arg.value : arg.value.data)));
+        return this.label(value, nameToken.start, close.end, args);
+    }
+
+    constant(number, start, end) {
+        return { value: createValue(number, this.source.slice(start, end).trim()), start, end };
+    }
+}
+
+// Build a labelled Value graph from `source`. `variables` maps names to numbers
+// (new leaves labelled with the name) or existing Values. Returns the output
+// Value and the leaves by name, so their gradients can be read after backward().
+function parseExpression(source, variables = {}) {
+    const parser = new ExpressionParser(source, variables);
+    const output = parser.parse();
+    return { output, variables: parser.variables };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseExpression, ParseError, EXPRESSION_FUNCTIONS };
+}
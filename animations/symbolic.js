@@ -0,0 +1,321 @@
+// Symbolic derivatives for teaching: each op describes its local derivative as
+// a small expression tree (d(a*b)/da = b), and chainRule() multiplies these
+// along every path from the root to a leaf, giving e.g. dL/da = f * b. Terms
+// render to LaTeX (for copying) and MathML (which browsers draw natively).
+
+// Term constructors. A term is a plain object with a `type`.
+const Sym = {
+    name: name => ({ type: 'name', name }),
+    num: value => ({ type: 'num', value }),
+    fn: (name, arg) => ({ type: 'fn', name, arg }),
+    pow: (base, exponent) => {
+        if (exponent.type === 'num' && exponent.value === 1) return base;
+        if (exponent.type === 'num' && exponent.value === 0) return Sym.num(1);
+        return { type: 'pow', base, exponent };
+    },
+    frac: (numerator, denominator) => ({ type: 'frac', numerator, denominator }),
+    // Iverson bracket: 1 when `a rel value` holds, else 0
+    indicator: (arg, rel, value) => ({ type: 'indicator', arg, rel, value }),
+
+    // Products fold their numeric factors into one leading coefficient and
+    // drop factors of 1; sums drop zeros
+    product: (...factors) => {
+        let coefficient = 1;
+        const rest = [];
+        factors.flatMap(f => (f.type === 'product' ? f.factors : [f])).forEach(f => {
+            if (f.type === 'num') {
+                coefficient *= f.value;
+            } else {
+                rest.push(f);
+            }
+        });
+        if (coefficient === 0) return Sym.num(0);
+        if (rest.length === 0) return Sym.num(coefficient);
+        if (coefficient !== 1) rest.unshift(Sym.num(coefficient));
+        return rest.length === 1 ? rest[0] : { type: 'product', factors: rest };
+    },
+
+    sum: (...terms) => {
+        const rest = terms
+            .flatMap(t => (t.type === 'sum' ? t.terms : [t]))
+            .filter(t => !(t.type === 'num' && t.value === 0));
+        if (rest.length === 0) return Sym.num(0);
+        return rest.length === 1 ? rest[0] : { type: 'sum', terms: rest };
+    },
+
+    // 1 - term
+    oneMinus: term => Sym.sum(Sym.num(1), Sym.product(Sym.num(-1), term))
+};
+
+// Local derivative of each op with respect to each operand, in terms of the
+// operands (a, b), the output and the op's numeric args. Mirrors the
+// _backward closures in value.js.
+const SYMBOLIC_DERIVATIVES = {
+    '+': () => [Sym.num(1), Sym.num(1)],
+    '*': ([a, b]) => [b, a],
+    '**': ([a, b], out) => [
+        Sym.product(b, Sym.pow(a, Sym.sum(b, Sym.num(-1)))),
+        Sym.product(out, Sym.fn('ln', a))
+    ],
+    'ReLU': ([a]) => [Sym.indicator(a, '>', 0)],
+    'tanh': ([a], out) => [Sym.oneMinus(Sym.pow(out, Sym.num(2)))],
+    'exp': ([a], out) => [out],
+    'sigmoid': ([a], out) => [Sym.product(out, Sym.oneMinus(out))],
+    'log': ([a]) => [Sym.frac(Sym.num(1), a)],
+    'abs': ([a]) => [Sym.fn('sign', a)],
+    'sin': ([a]) => [Sym.fn('cos', a)],
+    'cos': ([a]) => [Sym.product(Sym.num(-1), Sym.fn('sin', a))],
+    'softplus': ([a]) => [Sym.fn('σ', a)],
+    'LeakyReLU': ([a], out, [slope]) => [
+        Sym.sum(Sym.indicator(a, '>', 0), Sym.product(Sym.num(slope), Sym.indicator(a, '≤', 0)))
+    ],
+    'GELU': ([a]) => [Sym.fn("GELU'", a)]
+};
+
+function symbolicDerivativesFor(op) {
+    if (SYMBOLIC_DERIVATIVES[op]) {
+        return SYMBOLIC_DERIVATIVES[op];
+    }
+    // Number powers, e.g. "**2": n * a^(n-1)
+    const exponent = op.startsWith('**') ? Number(op.slice(2)) : NaN;
+    if (!Number.isNaN(exponent)) {
+        return ([a]) => [Sym.product(Sym.num(exponent), Sym.pow(a, Sym.num(exponent - 1)))];
+    }
+    const builder = findOpBuilder(op);
+    return builder && builder.symbolic ? builder.symbolic : null;
+}
+
+const FUNCTION_NAMES = {
+    'ReLU': 'ReLU', 'tanh': 'tanh', 'exp': 'exp', 'sigmoid': 'σ', 'log': 'ln', 'abs': 'abs',
+    'sin': 'sin', 'cos': 'cos', 'softplus': 'softplus', 'LeakyReLU': 'LeakyReLU', 'GELU': 'GELU'
+};
+
+// How a node appears inside other terms: its label when that is a plain name
+// (a, x1, L), its value for other leaves (constants), otherwise the expression
+// that built it. Labels like "x*w" from parser.js are rebuilt as expressions.
+function termFor(node, cache = new Map()) {
+    if (cache.has(node)) return cache.get(node);
+
+    let term;
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(node.label)) {
+        term = Sym.name(node.label);
+    } else if (node._prev.size === 0) {
+        term = Sym.num(node.data);
+    } else {
+        const operands = operandsOf(node).map(operand => termFor(operand, cache));
+        const [a, b] = operands;
+        if (node._op === '+') {
+            term = Sym.sum(a, b);
+        } else if (node._op === '*') {
+            term = Sym.product(a, b);
+        } else if (node._op.startsWith('**')) {
+            term = Sym.pow(a, node._op === '**' ? b : Sym.num(Number(node._op.slice(2))));
+        } else {
+            term = Sym.fn(FUNCTION_NAMES[node._op] || node._op, a);
+        }
+    }
+
+    cache.set(node, term);
+    return term;
+}
+
+// a * a and a ** a keep one child in _prev but have two operands
+function operandsOf(node) {
+    const children = Array.from(node._prev);
+    const builder = findOpBuilder(node._op);
+    const arity = builder ? builder.arity : children.length;
+    return children.length < arity ? Array(arity).fill(children[0]) : children;
+}
+
+// [{ operand, term }] for each operand of node. Ops without a symbolic form
+// get a placeholder such as ∂op/∂a₀.
+function localDerivatives(node, cache = new Map()) {
+    const operands = operandsOf(node);
+    const describe = symbolicDerivativesFor(node._op);
+    const terms = describe
+        ? describe(operands.map(operand => termFor(operand, cache)), termFor(node, cache), node._opArgs || [])
+        : operands.map((_, i) => Sym.name(`∂${node._op}/∂a${i}`));
+    return operands.map((operand, i) => ({ operand, term: terms[i] }));
+}
+
+// Full derivative of root with respect to `leaf`: a sum over every path from
+// root to leaf of the product of local derivatives along it. Paths multiply
+// quickly in wide graphs, so past maxPaths the result is left unexpanded.
+function chainRule(root, leaf, options = {}) {
+    const { maxPaths = 64 } = options;
+    const cache = new Map();
+    const reaches = new Map(); // node -> does it depend on leaf?
+
+    const dependsOnLeaf = node => {
+        if (node === leaf) return true;
+        if (!reaches.has(node)) {
+            reaches.set(node, false);
+            reaches.set(node, Array.from(node._prev).some(dependsOnLeaf));
+        }
+        return reaches.get(node);
+    };
+
+    const terms = [];
+    const walk = (node, factors) => {
+        if (terms.length > maxPaths) return;
+        if (node === leaf) {
+            terms.push(Sym.product(...factors));
+            return;
+        }
+        localDerivatives(node, cache).forEach(({ operand, term }) => {
+            if (dependsOnLeaf(operand)) {
+                walk(operand, [...factors, term]);
+            }
+        });
+    };
+    walk(root, [Sym.num(1)]);
+
+    if (terms.length > maxPaths) {
+        return Sym.name('…');
+    }
+    return Sym.sum(...terms);
+}
+
+// LaTeX rendering
+
+const LATEX_FUNCTIONS = { ln: '\\ln', exp: '\\exp', sin: '\\sin', cos: '\\cos', tanh: '\\tanh', 'σ': '\\sigma' };
+const LATEX_RELATIONS = { '>': '>', '≤': '\\le' };
+
+function latexName(name) {
+    const indexed = /^([A-Za-z])(\d+)$/.exec(name);
+    if (indexed) return `${indexed[1]}_{${indexed[2]}}`;
+    if (/^[A-Za-z]$/.test(name)) return name;
+    return `\\mathrm{${name.replace(/([_#%&{}$])/g, '\\$1')}}`;
+}
+
+function formatCoefficient(value) {
+    return Number.isInteger(value) ? String(value) : String(parseFloat(value.toFixed(4)));
+}
+
+// Whether a term needs parentheses when it appears inside a product or power
+const isCompoundTerm = term => term.type === 'sum' || (term.type === 'num' && term.value < 0);
+const isSimpleBaseTerm = term => term.type === 'name' || (term.type === 'num' && term.value >= 0);
+
+// The positive counterpart of a negative number or of a product with a
+// negative coefficient, so sums print "a - b" rather than "a + -1 b"
+function negatedTerm(term) {
+    if (term.type === 'num' && term.value < 0) {
+        return Sym.num(-term.value);
+    }
+    if (term.type === 'product' && term.factors[0].type === 'num' && term.factors[0].value < 0) {
+        return Sym.product(Sym.num(-term.factors[0].value), ...term.factors.slice(1));
+    }
+    return null;
+}
+
+function toLatex(term) {
+    const wrap = t => (isCompoundTerm(t) ? `\\left(${toLatex(t)}\\right)` : toLatex(t));
+
+    switch (term.type) {
+        case 'name':
+            return latexName(term.name);
+        case 'num':
+            return formatCoefficient(term.value);
+        case 'fn':
+            return `${LATEX_FUNCTIONS[term.name] || `\\operatorname{${term.name}}`}\\left(${toLatex(term.arg)}\\right)`;
+        case 'pow': {
+            const base = isSimpleBaseTerm(term.base) ? toLatex(term.base) : `\\left(${toLatex(term.base)}\\right)`;
+            return `${base}^{${toLatex(term.exponent)}}`;
+        }
+        case 'frac':
+            return `\\frac{${toLatex(term.numerator)}}{${toLatex(term.denominator)}}`;
+        case 'indicator':
+            return `\\left[${toLatex(term.arg)} ${LATEX_RELATIONS[term.rel]} ${term.value}\\right]`;
+        case 'product': {
+            const positive = negatedTerm(term);
+            if (positive) return `-${toLatex(positive)}`;
+            return term.factors.map((f, i) => (i === 0 && f.type === 'num' ? toLatex(f) : wrap(f))).join(' \\cdot ');
+        }
+        case 'sum':
+            return term.terms.map((t, i) => {
+                const positive = i > 0 && negatedTerm(t);
+                if (i === 0) return toLatex(t);
+                return positive ? ` - ${toLatex(positive)}` : ` + ${toLatex(t)}`;
+            }).join('');
+        default:
+            throw new Error(`Unknown term type '${term.type}'`);
+    }
+}
+
+// MathML rendering
+
+const escapeMathML = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function mathmlName(name) {
+    const indexed = /^([A-Za-z])(\d+)$/.exec(name);
+    if (indexed) return `<msub><mi>${indexed[1]}</mi><mn>${indexed[2]}</mn></msub>`;
+    return `<mi>${escapeMathML(name)}</mi>`;
+}
+
+const mathmlParen = inner => `<mrow><mo>(</mo>${inner}<mo>)</mo></mrow>`;
+
+function termToMathML(term) {
+    const wrap = t => (isCompoundTerm(t) ? mathmlParen(termToMathML(t)) : termToMathML(t));
+
+    switch (term.type) {
+        case 'name':
+            return mathmlName(term.name);
+        case 'num':
+            return term.value < 0
+                ? `<mrow><mo>-</mo><mn>${formatCoefficient(-term.value)}</mn></mrow>`
+                : `<mn>${formatCoefficient(term.value)}</mn>`;
+        case 'fn':
+            return `<mrow><mi>${escapeMathML(term.name)}</mi><mo>&#x2061;</mo>${mathmlParen(termToMathML(term.arg))}</mrow>`;
+        case 'pow': {
+            const base = isSimpleBaseTerm(term.base) ? termToMathML(term.base) : mathmlParen(termToMathML(term.base));
+            return `<msup>${base}${termToMathML(term.exponent)}</msup>`;
+        }
+        case 'frac':
+            return `<mfrac>${termToMathML(term.numerator)}${termToMathML(term.denominator)}</mfrac>`;
+        case 'indicator':
+            return `<mrow><mo>[</mo>${termToMathML(term.arg)}<mo>${escapeMathML(term.rel)}</mo><mn>${term.value}</mn><mo>]</mo></mrow>`;
+        case 'product': {
+            const positive = negatedTerm(term);
+            if (positive) return `<mrow><mo>-</mo>${termToMathML(positive)}</mrow>`;
+            const factors = term.factors.map((f, i) => (i === 0 && f.type === 'num' ? termToMathML(f) : wrap(f)));
+            return `<mrow>${factors.join('<mo>&#x22C5;</mo>')}</mrow>`;
+        }
+        case 'sum': {
+            const terms = term.terms.map((t, i) => {
+                const positive = i > 0 && negatedTerm(t);
+                if (i === 0) return termToMathML(t);
+                return positive ? `<mo>-</mo>${termToMathML(positive)}` : `<mo>+</mo>${termToMathML(t)}`;
+            });
+            return `<mrow>${terms.join('')}</mrow>`;
+        }
+        default:
+            throw new Error(`Unknown term type '${term.type}'`);
+    }
+}
+
+// ∂root/∂leaf = term, as LaTeX and as a <math> element string. Nodes without
+// a plain-name label are written out, e.g. ∂(a·b)/∂a = b for a local step.
+function derivativeNotation(root, leaf, term = chainRule(root, leaf)) {
+    const cache = new Map();
+    const latex = node => {
+        const t = termFor(node, cache);
+        return t.type === 'name' || t.type === 'num' ? toLatex(t) : `\\left(${toLatex(t)}\\right)`;
+    };
+    const mathml = node => {
+        const t = termFor(node, cache);
+        return t.type === 'name' || t.type === 'num' ? termToMathML(t) : mathmlParen(termToMathML(t));
+    };
+
+    return {
+        term,
+        latex: `\\frac{\\partial ${latex(root)}}{\\partial ${latex(leaf)}} = ${toLatex(term)}`,
+        mathml: '<math><mrow>' +
+            `<mfrac><mrow><mo>∂</mo>${mathml(root)}</mrow><mrow><mo>∂</mo>${mathml(leaf)}</mrow></mfrac>` +
+            `<mo>=</mo>${termToMathML(term)}</mrow></math>`
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Sym, chainRule, localDerivatives, toLatex, termToMathML, derivativeNotation };
+}
@@ -0,0 +1,608 @@
+// Vectorized autograd engine: a Tensor is a Float64Array plus a shape, and
+// follows the same _prev/_backward pattern as Value so one matmul is a single
+// graph node instead of thousands of scalar ones.
+
+function shapeSize(shape) {
+    return shape.reduce((n, d) => n * d, 1);
+}
+
+function sameShape(a, b) {
+    return a.length === b.length && a.every((d, i) => d === b[i]);
+}
+
+function broadcastShapes(a, b) {
+    const rank = Math.max(a.length, b.length);
+    const out = [];
+    for (let i = 0; i < rank; i++) {
+        const da = i < rank - a.length ? 1 : a[i - (rank - a.length)];
+        const db = i < rank - b.length ? 1 : b[i - (rank - b.length)];
+        if (da !== db && da !== 1 && db !== 1) {
+            throw new Error(`Cannot broadcast shapes [${a}] and [${b}]`);
+        }
+        out.push(Math.max(da, db));
+    }
+    return out;
+}
+
+// For every flat index of outShape, the flat index it reads from in `shape`
+function broadcastIndex(shape, outShape) {
+    const size = shapeSize(outShape);
+    const index = new Int32Array(size);
+    const offset = outShape.length - shape.length;
+
+    // Strides of the source, 0 along broadcast dimensions
+    const strides = new Array(outShape.length).fill(0);
+    let stride = 1;
+    for (let i = shape.length - 1; i >= 0; i--) {
+        strides[i + offset] = shape[i] === 1 ? 0 : stride;
+        stride *= shape[i];
+    }
+
+    const counter = new Array(outShape.length).fill(0);
+    let source = 0;
+    for (let i = 0; i < size; i++) {
+        index[i] = source;
+        for (let d = outShape.length - 1; d >= 0; d--) {
+            counter[d]++;
+            source += strides[d];
+            if (counter[d] < outShape[d]) break;
+            source -= strides[d] * counter[d];
+            counter[d] = 0;
+        }
+    }
+
+    return index;
+}
+
+class Tensor {
+    constructor(data, shape, children = [], op = '', label = '') {
+        this.data = data instanceof Float64Array ? data : Float64Array.from(data);
+        this.shape = shape === undefined ? [this.data.length] : shape;
+        if (shapeSize(this.shape) !== this.data.length) {
+            throw new Error(`Shape [${this.shape}] does not match ${this.data.length} elements`);
+        }
+        this.grad = new Float64Array(this.data.length);
+        this._backward = () => {};
+        // Like Value: no-grad results don't keep their inputs alive
+        this._prev = isGradEnabled() && children.length > 0 ? new Set(children) : NO_CHILDREN;
+        this._op = op;
+        this.label = label;
+        this._id = null;
+    }
+
+    // Drawn lazily, like Value ids
+    get id() {
+        if (this._id === null) {
+            this._id = nextId();
+        }
+        return this._id;
+    }
+
+    set id(id) {
+        this._id = id;
+    }
+
+    // Build a tensor from a number or (nested) arrays of numbers
+    static from(values, label = '') {
+        if (values instanceof Tensor) return values;
+        if (typeof values === 'number') return new Tensor([values], [], [], '', label);
+
+        const shape = [];
+        let level = values;
+        while (Array.isArray(level)) {
+            shape.push(level.length);
+            level = level[0];
+        }
+        return new Tensor(values.flat(Infinity), shape, [], '', label);
+    }
+
+    static zeros(shape) {
+        return new Tensor(new Float64Array(shapeSize(shape)), shape);
+    }
+
+    static uniform(shape, low = -1, high = 1, rng = getRng()) {
+        const data = new Float64Array(shapeSize(shape));
+        for (let i = 0; i < data.length; i++) {
+            data[i] = rng.uniform(low, high);
+        }
+        return new Tensor(data, shape);
+    }
+
+    // Pack scalar Values into a tensor (data only, no graph link)
+    static fromValues(values, shape) {
+        return new Tensor(values.map(v => v.data), shape);
+    }
+
+    get size() {
+        return this.data.length;
+    }
+
+    item() {
+        if (this.size !== 1) {
+            throw new Error(`item() needs a single element, tensor has shape [${this.shape}]`);
+        }
+        return this.data[0];
+    }
+
+    toArray() {
+        const build = (dim, offset) => {
+            if (dim === this.shape.length) return this.data[offset];
+            const step = shapeSize(this.shape.slice(dim + 1));
+            return Array.from({ length: this.shape[dim] }, (_, i) => build(dim + 1, offset + i * step));
+        };
+        return build(0, 0);
+    }
+
+    toString() {
+        return `Tensor(shape=[${this.shape}], data=${JSON.stringify(this.toArray())})`;
+    }
+
+    // Elementwise binary op with NumPy-style broadcasting. df(a, b, y) returns
+    // the local derivatives [dy/da, dy/db]; gradients are summed back over
+    // broadcast dimensions through the same index maps.
+    _binary(other, op, f, df) {
+        other = other instanceof Tensor ? other : Tensor.from(other);
+        const shape = broadcastShapes(this.shape, other.shape);
+        const size = shapeSize(shape);
+        const ia = sameShape(this.shape, shape) ? null : broadcastIndex(this.shape, shape);
+        const ib = sameShape(other.shape, shape) ? null : broadcastIndex(other.shape, shape);
+
+        const data = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            data[i] = f(this.data[ia ? ia[i] : i], other.data[ib ? ib[i] : i]);
+        }
+        const out = new Tensor(data, shape, [this, other], op);
+        if (!isGradEnabled()) return out;
+
+        out._backward = () => {
+            for (let i = 0; i < size; i++) {
+                const a = ia ? ia[i] : i;
+                const b = ib ? ib[i] : i;
+                const [da, db] = df(this.data[a], other.data[b], out.data[i]);
+                this.grad[a] += da * out.grad[i];
+                other.grad[b] += db * out.grad[i];
+            }
+        };
+
+        return out;
+    }
+
+    // Elementwise unary op; df(x, y) is the local derivative dy/dx
+    _unary(op, f, df) {
+        const data = this.data.map(f);
+        const out = new Tensor(data, this.shape.slice(), [this], op);
+        if (!isGradEnabled()) return out;
+
+        out._backward = () => {
+            for (let i = 0; i < data.length; i++) {
+                this.grad[i] += df(this.data[i], out.data[i]) * out.grad[i];
+            }
+        };
+
+        return out;
+    }
+
+    add(other) {
+        return this._binary(other, '+', (a, b) => a + b, () => [1, 1]);
+    }
+
+    sub(other) {
+        return this._binary(other, '-', (a, b) => a - b, () => [1, -1]);
+    }
+
+    mul(other) {
+        return this._binary(other, '*', (a, b) => a * b, (a, b) => [b, a]);
+    }
+
+    div(other) {
+        return this._binary(other, '/', (a, b) => a / b, (a, b) => [1 / b, -a / (b * b)]);
+    }
+
+    neg() {
+        return this._unary('neg', x => -x, () => -1);
+    }
+
+    pow(n) {
+        if (typeof n !== 'number') {
+            throw new Error('Tensor.pow only supports number exponents');
+        }
+        return this._unary(`**${n}`, x => Math.pow(x, n), x => n * Math.pow(x, n - 1));
+    }
+
+    relu() {
+        return this._unary('ReLU', x => (x < 0 ? 0 : x), (x, y) => (y > 0 ? 1 : 0));
+    }
+
+    tanh() {
+        return this._unary('tanh', Math.tanh, (x, y) => 1 - y * y);
+    }
+
+    exp() {
+        return this._unary('exp', Math.exp, (x, y) => y);
+    }
+
+    sigmoid() {
+        const sigmoid = x => (x >= 0 ? 1 / (1 + Math.exp(-x)) : Math.exp(x) / (1 + Math.exp(x)));
+        return this._unary('sigmoid', sigmoid, (x, y) => y * (1 - y));
+    }
+
+    log() {
+        return this._unary('log', Math.log, x => 1 / x);
+    }
+
+    abs() {
+        return this._unary('abs', Math.abs, x => Math.sign(x));
+    }
+
+    sin() {
+        return this._unary('sin', Math.sin, x => Math.cos(x));
+    }
+
+    cos() {
+        return this._unary('cos', Math.cos, x => -Math.sin(x));
+    }
+
+    softplus() {
+        return this._unary(
+            'softplus',
+            x => Math.max(x, 0) + Math.log1p(Math.exp(-Math.abs(x))),
+            x => (x >= 0 ? 1 / (1 + Math.exp(-x)) : Math.exp(x) / (1 + Math.exp(x)))
+        );
+    }
+
+    leakyRelu(slope = 0.01) {
+        return this._unary('LeakyReLU', x => (x > 0 ? x : slope * x), x => (x > 0 ? 1 : slope));
+    }
+
+    gelu() {
+        const k = Math.sqrt(2 / Math.PI);
+        return this._unary(
+            'GELU',
+            x => 0.5 * x * (1 + Math.tanh(k * (x + 0.044715 * x * x * x))),
+            x => {
+                const t = Math.tanh(k * (x + 0.044715 * x * x * x));
+                return 0.5 * (1 + t) + 0.5 * x * (1 - t * t) * k * (1 + 3 * 0.044715 * x * x);
+            }
+        );
+    }
+
+    // (n, k) @ (k, m) -> (n, m)
+    matmul(other) {
+        if (this.shape.length !== 2 || other.shape.length !== 2 || this.shape[1] !== other.shape[0]) {
+            throw new Error(`Cannot matmul shapes [${this.shape}] and [${other.shape}]`);
+        }
+        const [n, k] = this.shape;
+        const m = other.shape[1];
+        const A = this.data;
+        const B = other.data;
+
+        const data = new Float64Array(n * m);
+        for (let i = 0; i < n; i++) {
+            for (let p = 0; p < k; p++) {
+                const a = A[i * k + p];
+                for (let j = 0; j < m; j++) {
+                    data[i * m + j] += a * B[p * m + j];
+                }
+            }
+        }
+        const out = new Tensor(data, [n, m], [this, other], '@');
+        if (!isGradEnabled()) return out;
+
+        out._backward = () => {
+            const G = out.grad;
+            for (let i = 0; i < n; i++) {
+                for (let p = 0; p < k; p++) {
+                    let dA = 0;
+                    const a = A[i * k + p];
+                    for (let j = 0; j < m; j++) {
+                        const g = G[i * m + j];
+                        dA += g * B[p * m + j];     // dC @ B^T
+                        other.grad[p * m + j] += a * g; // A^T @ dC
+                    }
+                    this.grad[i * k + p] += dA;
+                }
+            }
+        };
+
+        return out;
+    }
+
+    reshape(shape) {
+        if (shapeSize(shape) !== this.size) {
+            throw new Error(`Cannot reshape [${this.shape}] to [${shape}]`);
+        }
+        const out = new Tensor(this.data.slice(), shape, [this], 'reshape');
+        if (!isGradEnabled()) return out;
+
+        out._backward = () => {
+            for (let i = 0; i < this.size; i++) {
+                this.grad[i] += out.grad[i];
+            }
+        };
+
+        return out;
+    }
+
+    transpose() {
+        if (this.shape.length !== 2) {
+            throw new Error('transpose only supports 2D tensors');
+        }
+        const [n, m] = this.shape;
+        const data = new Float64Array(n * m);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < m; j++) {
+                data[j * n + i] = this.data[i * m + j];
+            }
+        }
+        const out = new Tensor(data, [m, n], [this], 'T');
+        if (!isGradEnabled()) return out;
+
+        out._backward = () => {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < m; j++) {
+                    this.grad[i * m + j] += out.grad[j * n + i];
+                }
+            }
+        };
+
+        return out;
+    }
+
+    // Sum over one axis, or over everything when axis is null
+    sum(axis = null, keepdims = false) {
+        if (axis === null) {
+            const out = new Tensor([this.data.reduce((s, x) => s + x, 0)], [], [this], 'sum');
+            if (!isGradEnabled()) return out;
+
+            out._backward = () => {
+                for (let i = 0; i < this.size; i++) {
+                    this.grad[i] += out.grad[0];
+                }
+            };
+            return out;
+        }
+
+        if (axis < 0) axis += this.shape.length;
+        const outer = shapeSize(this.shape.slice(0, axis));
+        const len = this.shape[axis];
+        const inner = shapeSize(this.shape.slice(axis + 1));
+        const shape = keepdims
+            ? this.shape.map((d, i) => (i === axis ? 1 : d))
+            : this.shape.filter((_, i) => i !== axis);
+
+        const data = new Float64Array(outer * inner);
+        for (let o = 0; o < outer; o++) {
+            for (let r = 0; r < len; r++) {
+                for (let i = 0; i < inner; i++) {
+                    data[o * inner + i] += this.data[(o * len + r) * inner + i];
+                }
+            }
+        }
+        const out = new Tensor(data, shape, [this], 'sum');
+        if (!isGradEnabled()) return out;
+
+        out._backward = () => {
+            for (let o = 0; o < outer; o++) {
+                for (let r = 0; r < len; r++) {
+                    for (let i = 0; i < inner; i++) {
+                        this.grad[(o * len + r) * inner + i] += out.grad[o * inner + i];
+                    }
+                }
+            }
+        };
+
+        return out;
+    }
+
+    mean(axis = null, keepdims = false) {
+        const count = axis === null ? this.size : this.shape[axis < 0 ? axis + this.shape.length : axis];
+        return this.sum(axis, keepdims).div(count);
+    }
+
+    backward() {
+        // Same explicit-stack post-order walk as Value.topologicalOrder
+        const topo = [];
+        const visited = new Set([this]);
+        const stack = [[this, this._prev.values()]];
+        while (stack.length > 0) {
+            const [node, children] = stack[stack.length - 1];
+            const next = children.next();
+            if (next.done) {
+                stack.pop();
+                topo.push(node);
+            } else if (!visited.has(next.value)) {
+                visited.add(next.value);
+                stack.push([next.value, next.value._prev.values()]);
+            }
+        }
+
+        this.grad.fill(1);
+        for (let i = topo.length - 1; i >= 0; i--) {
+            topo[i]._backward();
+        }
+    }
+
+    zeroGrad() {
+        this.grad.fill(0);
+    }
+}
+
+// Fully connected layer computing act(X @ W + b) for a batch X of shape
+// (batch, nin). Weights are drawn in the same order as a scalar Layer, so the
+// same rng seed gives the same initialization on both paths.
+class TensorLayer extends Module {
+    constructor(nin, nout, options = {}) {
+        super();
+        const { activation = 'tanh', rng = getRng() } = options;
+        checkActivation(activation, Tensor.prototype);
+
+        this.nin = nin;
+        this.nout = nout;
+        this.activation = activation;
+
+        const W = new Float64Array(nin * nout);
+        const b = new Float64Array(nout);
+        for (let j = 0; j < nout; j++) {
+            for (let i = 0; i < nin; i++) {
+                W[i * nout + j] = rng.uniform(-1, 1);
+            }
+            b[j] = rng.uniform(-1, 1);
+        }
+        this.W = new Tensor(W, [nin, nout], [], '', 'W');
+        this.b = new Tensor(b, [1, nout], [], '', 'b');
+    }
+
+    // Copy the weights of a scalar Layer so both paths can be compared. The
+    // placeholder init uses its own Random, so copying doesn't advance the
+    // shared seeded generator.
+    static fromLayer(layer) {
+        const tensorLayer = new TensorLayer(layer.nin, layer.nout, {
+            activation: layer.activation,
+            rng: new Random(0)
+        });
+        layer.neurons.forEach((neuron, j) => {
+            neuron.w.forEach((w, i) => {
+                tensorLayer.W.data[i * layer.nout + j] = w.data;
+            });
+            tensorLayer.b.data[j] = neuron.b.data;
+        });
+        return tensorLayer;
+    }
+
+    forward(x) {
+        let X = Tensor.from(x);
+        if (X.shape.length === 1) {
+            X = X.reshape([1, X.size]);
+        }
+        if (X.shape[1] !== this.nin) {
+            throw new Error(`Expected ${this.nin} inputs, got ${X.shape[1]}`);
+        }
+        const act = X.matmul(this.W).add(this.b);
+        return this.activation === 'linear' ? act : act[this.activation]();
+    }
+
+    call(x) {
+        return this.forward(x);
+    }
+
+    parameters() {
+        return [this.W, this.b];
+    }
+
+    zeroGrad() {
+        this.parameters().forEach(p => p.zeroGrad());
+    }
+
+    // Gradients in the same order as Layer.parameters(): w0..wn, b per neuron
+    flatGrads() {
+        const grads = [];
+        for (let j = 0; j < this.nout; j++) {
+            for (let i = 0; i < this.nin; i++) {
+                grads.push(this.W.grad[i * this.nout + j]);
+            }
+            grads.push(this.b.grad[j]);
+        }
+        return grads;
+    }
+}
+
+class TensorMLP extends Module {
+    constructor(nin, nouts, options = {}) {
+        super();
+        this.nin = nin;
+        this.nouts = nouts;
+        this.layers = [];
+
+        const sz = [nin, ...nouts];
+        for (let i = 0; i < nouts.length; i++) {
+            const activation = layerActivation(options.activation || 'tanh', i, nouts.length);
+            this.layers.push(new TensorLayer(sz[i], sz[i + 1], { ...options, activation }));
+        }
+    }
+
+    static fromMLP(mlp) {
+        const model = new TensorMLP(mlp.nin, []);
+        model.nouts = mlp.nouts;
+        model.layers = mlp.layers.map(layer => TensorLayer.fromLayer(layer));
+        return model;
+    }
+
+    forward(x) {
+        let output = x;
+        for (const layer of this.layers) {
+            output = layer.forward(output);
+        }
+        return output;
+    }
+
+    call(x) {
+        return this.forward(x);
+    }
+
+    parameters() {
+        const params = [];
+        this.layers.forEach(layer => {
+            params.push(...layer.parameters());
+        });
+        return params;
+    }
+
+    zeroGrad() {
+        this.parameters().forEach(p => p.zeroGrad());
+    }
+
+    updateParameters(learningRate = 0.01) {
+        this.parameters().forEach(p => {
+            for (let i = 0; i < p.size; i++) {
+                p.data[i] += -learningRate * p.grad[i];
+            }
+        });
+    }
+
+    flatGrads() {
+        return this.layers.flatMap(layer => layer.flatGrads());
+    }
+}
+
+// Loss functions over (batch, nout) predictions
+class TensorLoss {
+    // Sum of squared errors, matching Loss.mse on the scalar path
+    static mse(predictions, targets) {
+        const Y = Tensor.from(targets);
+        const y = sameShape(Y.shape, predictions.shape) ? Y : Y.reshape(predictions.shape);
+        return predictions.sub(y).pow(2).sum();
+    }
+}
+
+// Run the same data through a scalar MLP and its tensor copy and report the
+// largest differences in predictions, loss and parameter gradients.
+function crossCheckMLP(mlp, inputs, targets) {
+    const tensorModel = TensorMLP.fromMLP(mlp);
+
+    // Multi-output predictions are flattened so Loss.mse sees matching scalars
+    mlp.zeroGrad();
+    const predictions = inputs.flatMap(x => mlp.forward(x));
+    const loss = Loss.mse(predictions, targets.flat());
+    loss.backward();
+
+    tensorModel.zeroGrad();
+    const tensorPredictions = tensorModel.forward(inputs);
+    const tensorLoss = TensorLoss.mse(tensorPredictions, targets);
+    tensorLoss.backward();
+
+    const scalarOutputs = predictions.map(p => p.data);
+    const scalarGrads = mlp.parameters().map(p => p.grad);
+    const tensorGrads = tensorModel.flatGrads();
+    const maxDiff = (a, b) => Math.max(0, ...a.map((x, i) => Math.abs(x - b[i])));
+
+    return {
+        predictions: maxDiff(scalarOutputs, Array.from(tensorPredictions.data)),
+        loss: Math.abs(loss.data - tensorLoss.item()),
+        grads: maxDiff(scalarGrads, tensorGrads)
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Tensor, TensorLayer, TensorMLP, TensorLoss, crossCheckMLP };
+}
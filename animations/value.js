@@ -1,12 +1,180 @@
+// Small seeded PRNG (mulberry32). Weight init and shuffling draw from one of
+// these, and node ids from another, so the same seed reproduces the same
+// graphs and runs.
+class Random {
+    constructor(seed = Math.floor(Math.random() * 2 ** 32)) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Uniform float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    uniform(low = 0, high = 1) {
+        return low + (high - low) * this.next();
+    }
+
+    // Fisher-Yates shuffle, in place
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    // 9 base-36 characters, same shape as the old Math.random() ids
+    id() {
+        return Math.floor(this.next() * 36 ** 9).toString(36).padStart(9, '0');
+    }
+}
+
+let defaultRng = new Random();
+
+// Ids are drawn lazily, whenever something first renders or serializes a
+// node, so they get their own stream; otherwise drawing them would shift the
+// weights that come after
+let idRng = new Random();
+
+// Reseed the shared generator used for default weight init and shuffling, and
+// the id stream
+function setSeed(seed) {
+    defaultRng = new Random(seed);
+    idRng = new Random(seed ^ 0x5bd1e995);
+    return defaultRng;
+}
+
+function getRng() {
+    return defaultRng;
+}
+
+// Next node id (Value, Tensor, Dual)
+function nextId() {
+    return idRng.id();
+}
+
+// When false, ops compute plain results without recording children or
+// backward closures. Toggle it through noGrad() rather than directly.
+let gradEnabled = true;
+
+// Run fn without building a graph, e.g. for predictions and decision boundaries
+function noGrad(fn) {
+    const previous = gradEnabled;
+    gradEnabled = false;
+    try {
+        return fn();
+    } finally {
+        gradEnabled = previous;
+    }
+}
+
+function setGradEnabled(enabled) {
+    gradEnabled = enabled;
+}
+
+function isGradEnabled() {
+    return gradEnabled;
+}
+
+// When true, every op checks its result and every backward step checks the
+// gradients it wrote, throwing an AnomalyError at the first NaN or Infinity.
+// Off by default since it costs a check per op.
+let anomalyDetection = false;
+
+// Run fn with anomaly detection on, e.g. detectAnomaly(() => loss.backward())
+function detectAnomaly(fn) {
+    const previous = anomalyDetection;
+    anomalyDetection = true;
+    try {
+        return fn();
+    } finally {
+        anomalyDetection = previous;
+    }
+}
+
+function setAnomalyDetection(enabled) {
+    anomalyDetection = enabled;
+}
+
+function isAnomalyDetectionEnabled() {
+    return anomalyDetection;
+}
+
+// Thrown by anomaly detection. `node` is the Value whose op produced the bad
+// number (its data in the forward phase, an operand's grad in the backward
+// phase), so the visualizer can point at it.
+class AnomalyError extends Error {
+    constructor(phase, node, operands, detail) {
+        const name = node.label ? `'${node.label}' (id ${node.id})` : `id ${node.id}`;
+        const values = operands.map(operand => operand.data).join(', ');
+        super(`${detail} in ${phase} of op '${node._op}' at node ${name}; operands: [${values}]`);
+        this.name = 'AnomalyError';
+        this.phase = phase;
+        this.node = node;
+        this.op = node._op;
+        this.operands = operands;
+    }
+}
+
+function checkForward(out, children) {
+    if (!Number.isFinite(out.data)) {
+        throw new AnomalyError('forward', out, children, `Result is ${out.data}`);
+    }
+}
+
+// After node._backward(): every operand grad it touched must still be finite
+function checkBackward(node) {
+    for (const operand of node._prev) {
+        if (!Number.isFinite(operand.grad)) {
+            const name = operand.label || operand.id;
+            throw new AnomalyError('backward', node, Array.from(node._prev),
+                `Gradient of operand ${name} became ${operand.grad} (out.grad = ${node.grad})`);
+        }
+    }
+}
+
+// Shared by leaves and no-grad results so they don't allocate their own
+const NO_CHILDREN = new Set();
+const noBackward = () => {};
+const noLocalGrads = () => [];
+
 class Value {
     constructor(data, children = [], op = '', label = '') {
         this.data = data;
         this.grad = 0;
-        this._backward = () => {};
-        this._prev = new Set(children);
+        this.gradValue = null; // Differentiable gradient, set by backward({ createGraph: true })
+        this._backward = noBackward;
+        // Local derivatives as [operand, d(out)/d(operand)] pairs, where each
+        // derivative is a number or a Value built from the same ops; used to
+        // build gradients as graphs for higher-order derivatives
+        this._localGrads = noLocalGrads;
+        this._prev = gradEnabled && children.length > 0 ? new Set(children) : NO_CHILDREN;
         this._op = op;
         this.label = label;
-        this.id = Math.random().toString(36).substr(2, 9); // Unique ID for visualization
+        this._id = null;
+
+        if (anomalyDetection && children.length > 0) {
+            checkForward(this, children);
+        }
+    }
+
+    // Unique ID for visualization, drawn on first use so that throwaway values
+    // (e.g. no-grad inference) don't pay for it
+    get id() {
+        if (this._id === null) {
+            this._id = nextId();
+        }
+        return this._id;
+    }
+
+    set id(id) {
+        this._id = id;
     }
 
     toString() {
@@ -16,47 +184,98 @@ class Value {
     add(other) {
         other = other instanceof Value ? other : new Value(other);
         const out = new Value(this.data + other.data, [this, other], '+');
+        if (!gradEnabled) return out;
 
         out._backward = () => {
             this.grad += 1.0 * out.grad;
             other.grad += 1.0 * out.grad;
         };
 
+        out._localGrads = () => [[this, 1], [other, 1]];
+
         return out;
     }
 
     mul(other) {
         other = other instanceof Value ? other : new Value(other);
         const out = new Value(this.data * other.data, [this, other], '*');
+        if (!gradEnabled) return out;
 
         out._backward = () => {
             this.grad += other.data * out.grad;
             other.grad += this.data * out.grad;
         };
 
+        out._localGrads = () => [[this, other], [other, this]];
+
         return out;
     }
 
     pow(other) {
+        if (other instanceof Value) {
+            return this.powValue(other);
+        }
         if (typeof other !== 'number') {
-            throw new Error('only supporting number powers for now');
+            throw new Error('pow expects a number or a Value exponent');
         }
         const out = new Value(Math.pow(this.data, other), [this], `**${other}`);
+        if (!gradEnabled) return out;
 
         out._backward = () => {
             this.grad += other * Math.pow(this.data, other - 1) * out.grad;
         };
 
+        out._localGrads = () => [[this, this.pow(other - 1).mul(other)]];
+
+        return out;
+    }
+
+    // a ** b where the exponent is itself a Value, so it can be trained.
+    // d/da = b * a^(b-1) and d/db = a^b * ln(a). The exponent gradient is only
+    // defined for positive bases: a zero base contributes 0 (the limit of
+    // a^b * ln(a) as a -> 0+ for b > 0). A negative base is only real at
+    // integer exponents, so there is no direction to move b in: it contributes
+    // 0 there and NaN elsewhere, the same domain as Math.pow's forward pass.
+    powValue(other) {
+        const out = new Value(Math.pow(this.data, other.data), [this, other], '**');
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            this.grad += other.data * Math.pow(this.data, other.data - 1) * out.grad;
+            let dExponent;
+            if (this.data > 0) {
+                dExponent = out.data * Math.log(this.data);
+            } else if (this.data === 0 || Number.isInteger(other.data)) {
+                dExponent = 0;
+            } else {
+                dExponent = NaN;
+            }
+            other.grad += dExponent * out.grad;
+        };
+
+        out._localGrads = () => {
+            let dExponent;
+            if (this.data > 0) {
+                dExponent = out.mul(this.log());
+            } else {
+                dExponent = this.data === 0 || Number.isInteger(other.data) ? 0 : NaN;
+            }
+            return [[this, other.mul(this.pow(other.sub(1)))], [other, dExponent]];
+        };
+
         return out;
     }
 
     relu() {
         const out = new Value(this.data < 0 ? 0 : this.data, [this], 'ReLU');
+        if (!gradEnabled) return out;
 
         out._backward = () => {
             this.grad += (out.data > 0 ? 1 : 0) * out.grad;
         };
 
+        out._localGrads = () => [[this, out.data > 0 ? 1 : 0]];
+
         return out;
     }
 
@@ -64,22 +283,154 @@ class Value {
         const x = this.data;
         const t = (Math.exp(2 * x) - 1) / (Math.exp(2 * x) + 1);
         const out = new Value(t, [this], 'tanh');
+        if (!gradEnabled) return out;
 
         out._backward = () => {
             this.grad += (1 - t * t) * out.grad;
         };
 
+        out._localGrads = () => [[this, out.pow(2).neg().add(1)]];
+
         return out;
     }
 
     exp() {
         const x = this.data;
         const out = new Value(Math.exp(x), [this], 'exp');
+        if (!gradEnabled) return out;
 
         out._backward = () => {
             this.grad += out.data * out.grad;
         };
 
+        out._localGrads = () => [[this, out]];
+
+        return out;
+    }
+
+    sigmoid() {
+        const x = this.data;
+        // Branch on the sign so Math.exp never overflows
+        const s = x >= 0 ? 1 / (1 + Math.exp(-x)) : Math.exp(x) / (1 + Math.exp(x));
+        const out = new Value(s, [this], 'sigmoid');
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            this.grad += s * (1 - s) * out.grad;
+        };
+
+        out._localGrads = () => [[this, out.mul(out.neg().add(1))]];
+
+        return out;
+    }
+
+    log() {
+        const x = this.data;
+        const out = new Value(Math.log(x), [this], 'log');
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            this.grad += (1 / x) * out.grad;
+        };
+
+        out._localGrads = () => [[this, this.pow(-1)]];
+
+        return out;
+    }
+
+    abs() {
+        const x = this.data;
+        const out = new Value(Math.abs(x), [this], 'abs');
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            // Subgradient 0 at x = 0
+            this.grad += Math.sign(x) * out.grad;
+        };
+
+        out._localGrads = () => [[this, Math.sign(x)]];
+
+        return out;
+    }
+
+    sin() {
+        const x = this.data;
+        const out = new Value(Math.sin(x), [this], 'sin');
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            this.grad += Math.cos(x) * out.grad;
+        };
+
+        out._localGrads = () => [[this, this.cos()]];
+
+        return out;
+    }
+
+    cos() {
+        const x = this.data;
+        const out = new Value(Math.cos(x), [this], 'cos');
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            this.grad += -Math.sin(x) * out.grad;
+        };
+
+        out._localGrads = () => [[this, this.sin().neg()]];
+
+        return out;
+    }
+
+    softplus() {
+        const x = this.data;
+        // log(1 + e^x) rewritten so large |x| stays finite
+        const out = new Value(Math.max(x, 0) + Math.log1p(Math.exp(-Math.abs(x))), [this], 'softplus');
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            const s = x >= 0 ? 1 / (1 + Math.exp(-x)) : Math.exp(x) / (1 + Math.exp(x));
+            this.grad += s * out.grad;
+        };
+
+        out._localGrads = () => [[this, this.sigmoid()]];
+
+        return out;
+    }
+
+    leakyRelu(slope = 0.01) {
+        const x = this.data;
+        const out = new Value(x > 0 ? x : slope * x, [this], 'LeakyReLU');
+        out._opArgs = [slope]; // Not encoded in the op name, kept for serialization
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            this.grad += (x > 0 ? 1 : slope) * out.grad;
+        };
+
+        out._localGrads = () => [[this, x > 0 ? 1 : slope]];
+
+        return out;
+    }
+
+    gelu() {
+        // tanh approximation: 0.5x(1 + tanh(sqrt(2/pi)(x + 0.044715x^3)))
+        const x = this.data;
+        const k = Math.sqrt(2 / Math.PI);
+        const t = Math.tanh(k * (x + 0.044715 * x * x * x));
+        const out = new Value(0.5 * x * (1 + t), [this], 'GELU');
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            const local = 0.5 * (1 + t) + 0.5 * x * (1 - t * t) * k * (1 + 3 * 0.044715 * x * x);
+            this.grad += local * out.grad;
+        };
+
+        out._localGrads = () => {
+            const tv = this.add(this.pow(3).mul(0.044715)).mul(k).tanh();
+            const slope = this.pow(2).mul(3 * 0.044715).add(1).mul(k);
+            return [[this, tv.add(1).mul(0.5).add(this.mul(0.5).mul(tv.pow(2).neg().add(1)).mul(slope))]];
+        };
+
         return out;
     }
 
@@ -95,46 +446,117 @@ class Value {
         return this.add(other instanceof Value ? other.neg() : new Value(other).neg());
     }
 
-    backward() {
-        // Build topological order of all children in the graph
-        const topo = [];
-        const visited = new Set();
-
-        const buildTopo = (v) => {
-            if (!visited.has(v)) {
-                visited.add(v);
-                for (const child of v._prev) {
-                    buildTopo(child);
-                }
-                topo.push(v);
-            }
-        };
+    backward(options = {}) {
+        const { createGraph = false } = options;
+        const topo = this.topologicalOrder();
 
-        buildTopo(this);
+        if (createGraph) {
+            this.backwardGraph(topo);
+            return;
+        }
 
         // Go one variable at a time and apply the chain rule to get its gradient
         this.grad = 1;
         for (let i = topo.length - 1; i >= 0; i--) {
             topo[i]._backward();
+            if (anomalyDetection) checkBackward(topo[i]);
+        }
+    }
+
+    // Generator version of backward() for stepping through the chain rule.
+    // Runs the same _backward closures in the same order, one node per
+    // next(), and yields that node with what it sent to each operand:
+    // { node, grad, index, total, contributions: [{ node, localGrad, contribution }] }
+    // where contribution = localGrad * grad was just added to operand.grad.
+    *backwardSteps() {
+        const topo = this.topologicalOrder();
+
+        this.grad = 1;
+        for (let i = topo.length - 1; i >= 0; i--) {
+            const node = topo[i];
+            const contributions = noGrad(() => node._localGrads()).map(([operand, local]) => {
+                const localGrad = local instanceof Value ? local.data : local;
+                return { node: operand, localGrad, contribution: localGrad * node.grad };
+            });
+
+            node._backward();
+            if (anomalyDetection) checkBackward(node);
+            yield { node, grad: node.grad, index: topo.length - 1 - i, total: topo.length, contributions };
+        }
+    }
+
+    // Reverse pass that builds every gradient as a Value instead of a number,
+    // so gradients can themselves be differentiated (second derivatives,
+    // Hessian-vector products, gradient penalties). Each node's gradient graph
+    // ends up in .gradValue, with .grad mirroring its numeric value. Call
+    // zeroGrad() first, as gradients accumulate like in the numeric pass.
+    backwardGraph(topo) {
+        this.gradValue = new Value(1);
+        this.grad = 1;
+        for (let i = topo.length - 1; i >= 0; i--) {
+            const node = topo[i];
+            if (node.gradValue === null) continue;
+
+            for (const [operand, local] of node._localGrads()) {
+                let contribution;
+                if (local instanceof Value) {
+                    contribution = local.mul(node.gradValue);
+                } else {
+                    contribution = local === 1 ? node.gradValue : node.gradValue.mul(local);
+                }
+                operand.gradValue = operand.gradValue === null ? contribution : operand.gradValue.add(contribution);
+                operand.grad = operand.gradValue.data;
+            }
+            if (anomalyDetection) checkBackward(node);
         }
     }
 
+    // Post-order DFS over the graph (children before parents). Uses an explicit
+    // stack of child iterators instead of recursion, so graphs far deeper than
+    // the JS call stack (e.g. a long chain of summed losses) still work.
+    topologicalOrder() {
+        const topo = [];
+        const visited = new Set([this]);
+        const stack = [[this, this._prev.values()]];
+
+        while (stack.length > 0) {
+            const [node, children] = stack[stack.length - 1];
+            const next = children.next();
+            if (next.done) {
+                stack.pop();
+                topo.push(node);
+            } else if (!visited.has(next.value)) {
+                visited.add(next.value);
+                stack.push([next.value, next.value._prev.values()]);
+            }
+        }
+
+        return topo;
+    }
+
     // Helper method to get all nodes in the computational graph
     getNodes() {
-        const nodes = new Set();
+        const nodes = new Set([this]);
         const edges = new Set();
+        const stack = [[this, this._prev.values()]];
+
+        // Same pre-order walk as a recursive build, kept iterative for deep graphs
+        while (stack.length > 0) {
+            const [node, children] = stack[stack.length - 1];
+            const next = children.next();
+            if (next.done) {
+                stack.pop();
+                continue;
+            }
 
-        const build = (v) => {
-            if (!nodes.has(v)) {
-                nodes.add(v);
-                for (const child of v._prev) {
-                    edges.add([child, v]);
-                    build(child);
-                }
+            const child = next.value;
+            edges.add([child, node]);
+            if (!nodes.has(child)) {
+                nodes.add(child);
+                stack.push([child, child._prev.values()]);
             }
-        };
+        }
 
-        build(this);
         return { nodes: Array.from(nodes), edges: Array.from(edges) };
     }
 
@@ -143,8 +565,226 @@ class Value {
         const { nodes } = this.getNodes();
         nodes.forEach(node => {
             node.grad = 0;
+            node.gradValue = null;
+        });
+    }
+
+    // Serialize the whole graph rooted here. Nodes are listed children first
+    // and reference each other by id, so shared subexpressions stay shared.
+    // Called by JSON.stringify(value).
+    toJSON() {
+        const nodes = this.topologicalOrder().map(node => {
+            const entry = {
+                id: node.id,
+                data: encodeNumber(node.data),
+                grad: encodeNumber(node.grad),
+                op: node._op,
+                label: node.label,
+                children: Array.from(node._prev, child => child.id)
+            };
+            if (node._opArgs) {
+                entry.args = node._opArgs;
+            }
+            return entry;
+        });
+
+        return { format: GRAPH_FORMAT, version: GRAPH_FORMAT_VERSION, root: this.id, nodes };
+    }
+
+    // Rebuild a graph saved by toJSON (object or JSON string). Each op node is
+    // recomputed through its Value method so _backward works as usual, then
+    // data, grad, label and id are restored from the file.
+    static fromJSON(json) {
+        const graph = migrateGraphJSON(typeof json === 'string' ? JSON.parse(json) : json);
+        const byId = new Map();
+
+        graph.nodes.forEach(entry => {
+            const children = entry.children.map(id => {
+                if (!byId.has(id)) {
+                    throw new Error(`Node ${entry.id} references unknown child ${id}`);
+                }
+                return byId.get(id);
+            });
+
+            let node;
+            if (children.length === 0) {
+                // Leaves, plus results computed under noGrad() that kept no children
+                node = new Value(0, [], entry.op);
+            } else {
+                const builder = findOpBuilder(entry.op);
+                if (!builder) {
+                    throw new Error(`Cannot rebuild unknown op '${entry.op}'`);
+                }
+                // A node like a * a stores its operand once
+                const operands = children.length < builder.arity ? Array(builder.arity).fill(children[0]) : children;
+                node = builder.build(operands, entry.args || []);
+            }
+
+            node.data = decodeNumber(entry.data);
+            node.grad = decodeNumber(entry.grad);
+            node.label = entry.label;
+            node.id = entry.id;
+            byId.set(entry.id, node);
         });
+
+        if (!byId.has(graph.root)) {
+            throw new Error(`Root ${graph.root} is not among the serialized nodes`);
+        }
+        return byId.get(graph.root);
+    }
+}
+
+// Define a differentiable op from outside the class. It becomes available as
+// value[name](...otherOperands, ...args) and is drawn with `symbol` as its op.
+//   forward(inputs, args)         -> output number
+//   backward(inputs, out, args)   -> local derivative per operand (an array,
+//                                    or a plain number for unary ops)
+//   derivative(operands, out, args), optional -> the same derivatives built as
+//                                    Values, so backward({ createGraph: true })
+//                                    can differentiate through the op; without
+//                                    it the local derivatives count as constants
+//   symbolic(operands, out, args), optional -> the derivatives as Sym terms
+//                                    (symbolic.js) for the chain-rule display
+// `inputs` holds the operands' data, `operands` the Values themselves. Extra
+// numeric args (e.g. a threshold) follow the operands in the method call;
+// maxArgs says how many of them expressions in parser.js may pass.
+function registerOp(name, spec) {
+    const { forward, backward, derivative = null, arity = 1, maxArgs = 0 } = spec;
+    const symbol = spec.symbol || name;
+
+    if (typeof forward !== 'function' || typeof backward !== 'function') {
+        throw new Error(`registerOp('${name}') needs forward and backward functions`);
+    }
+    if (name in Value.prototype) {
+        throw new Error(`Value already has a method named '${name}'`);
+    }
+    if (findOpBuilder(symbol)) {
+        throw new Error(`Op symbol '${symbol}' is already in use`);
+    }
+    if (typeof EXPRESSION_FUNCTIONS !== 'undefined' && Object.hasOwn(EXPRESSION_FUNCTIONS, name)) {
+        throw new Error(`Expression function '${name}' is already defined`);
+    }
+
+    const localDerivatives = (inputs, out, args) => {
+        const locals = backward(inputs, out, args);
+        return Array.isArray(locals) ? locals : [locals];
+    };
+
+    Value.prototype[name] = function (...rest) {
+        const operands = [this, ...rest.slice(0, arity - 1).map(x => (x instanceof Value ? x : new Value(x)))];
+        const args = rest.slice(arity - 1);
+        const inputs = operands.map(operand => operand.data);
+
+        const out = new Value(forward(inputs, args), operands, symbol);
+        if (args.length > 0) {
+            out._opArgs = args;
+        }
+        if (!gradEnabled) return out;
+
+        out._backward = () => {
+            localDerivatives(inputs, out.data, args).forEach((local, i) => {
+                operands[i].grad += local * out.grad;
+            });
+        };
+
+        out._localGrads = () => {
+            const locals = derivative
+                ? derivative(operands, out, args)
+                : localDerivatives(inputs, out.data, args);
+            return operands.map((operand, i) => [operand, locals[i]]);
+        };
+
+        return out;
+    };
+
+    // forward/localDerivatives work on plain numbers, for compileGraph;
+    // symbolic is used by symbolic.js
+    OP_BUILDERS[symbol] = {
+        arity,
+        method: name,
+        build: (operands, args) => operands[0][name](...operands.slice(1), ...args),
+        forward,
+        localDerivatives,
+        symbolic: spec.symbolic || null
+    };
+
+    // Make the op available to the other engines when they are loaded
+    if (typeof EXPRESSION_FUNCTIONS !== 'undefined') {
+        EXPRESSION_FUNCTIONS[name] = [arity, arity + maxArgs, arity];
+    }
+    if (typeof Dual !== 'undefined') {
+        Dual.prototype[name] = function (...rest) {
+            const operands = [this, ...rest.slice(0, arity - 1).map(x => (x instanceof Dual ? x : new Dual(x)))];
+            const args = rest.slice(arity - 1);
+            const inputs = operands.map(operand => operand.data);
+            const data = forward(inputs, args);
+            const tangent = localDerivatives(inputs, data, args)
+                .reduce((sum, local, i) => sum + (operands[i].tangent === 0 ? 0 : local * operands[i].tangent), 0);
+            return new Dual(data, tangent, operands, symbol);
+        };
+    }
+
+    return Value.prototype[name];
+}
+
+const GRAPH_FORMAT = 'micrograd-value-graph';
+const GRAPH_FORMAT_VERSION = 1;
+
+// Upgrade older serialized graphs step by step to the current version
+function migrateGraphJSON(graph) {
+    if (graph.format !== undefined && graph.format !== GRAPH_FORMAT) {
+        throw new Error(`Not a Value graph: format '${graph.format}'`);
+    }
+    const version = graph.version === undefined ? 1 : graph.version;
+    if (version > GRAPH_FORMAT_VERSION) {
+        throw new Error(`Graph format version ${version} is newer than supported (${GRAPH_FORMAT_VERSION})`);
+    }
+    return { ...graph, version: GRAPH_FORMAT_VERSION };
+}
+
+// JSON has no NaN or Infinity, so those are stored as strings
+function encodeNumber(x) {
+    return Number.isFinite(x) ? x : String(x);
+}
+
+function decodeNumber(x) {
+    return typeof x === 'string' ? Number(x) : x;
+}
+
+// How to recompute each op from its operands, keyed by the _op label, and the
+// Value method that implements it
+const OP_BUILDERS = {
+    '+': { arity: 2, method: 'add', build: ([a, b]) => a.add(b) },
+    '*': { arity: 2, method: 'mul', build: ([a, b]) => a.mul(b) },
+    '**': { arity: 2, method: 'pow', build: ([a, b]) => a.pow(b) },
+    'ReLU': { arity: 1, method: 'relu', build: ([a]) => a.relu() },
+    'tanh': { arity: 1, method: 'tanh', build: ([a]) => a.tanh() },
+    'exp': { arity: 1, method: 'exp', build: ([a]) => a.exp() },
+    'sigmoid': { arity: 1, method: 'sigmoid', build: ([a]) => a.sigmoid() },
+    'log': { arity: 1, method: 'log', build: ([a]) => a.log() },
+    'abs': { arity: 1, method: 'abs', build: ([a]) => a.abs() },
+    'sin': { arity: 1, method: 'sin', build: ([a]) => a.sin() },
+    'cos': { arity: 1, method: 'cos', build: ([a]) => a.cos() },
+    'softplus': { arity: 1, method: 'softplus', build: ([a]) => a.softplus() },
+    'LeakyReLU': { arity: 1, method: 'leakyRelu', build: ([a], [slope]) => a.leakyRelu(slope) },
+    'GELU': { arity: 1, method: 'gelu', build: ([a]) => a.gelu() }
+};
+
+function findOpBuilder(op) {
+    if (Object.hasOwn(OP_BUILDERS, op)) {
+        return OP_BUILDERS[op];
     }
+    // Number powers carry their exponent in the label, e.g. "**2"
+    const exponent = op.startsWith('**') ? Number(op.slice(2)) : NaN;
+    if (!Number.isNaN(exponent)) {
+        return { arity: 1, build: ([a]) => a.pow(exponent) };
+    }
+    return null;
+}
+
+// Method names of the one-operand ops, built in and registered
+function unaryOpMethods() {
+    return Object.values(OP_BUILDERS).filter(builder => builder.arity === 1).map(builder => builder.method);
 }
 
 // Helper function to create values from numbers
@@ -226,5 +866,9 @@ const Examples = {
 
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Value, createValue, Examples };
+    module.exports = {
+        Random, setSeed, getRng, nextId, NO_CHILDREN, noGrad, setGradEnabled, isGradEnabled,
+        detectAnomaly, setAnomalyDetection, isAnomalyDetectionEnabled, AnomalyError,
+        Value, findOpBuilder, unaryOpMethods, registerOp, createValue, Examples
+    };
 }
\ No newline at end of file